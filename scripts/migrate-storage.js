@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const SqliteStore = require('../src/utils/SqliteStore');
+
+// 读取配置（未配置storage时使用默认的数据库文件）
+function loadConfig() {
+    const configPath = path.join(__dirname, '../config.json');
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error('❌ 读取配置文件失败:', error.message);
+        process.exit(1);
+    }
+}
+
+// 列出数据目录中的JSON文档名称
+function listDocuments(dataDir) {
+    if (!fs.existsSync(dataDir)) {
+        return [];
+    }
+    return fs.readdirSync(dataDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -5))
+        .sort();
+}
+
+// 将 data/*.json 导入SQLite数据库，已存在的文档默认跳过，使用 --force 覆盖。
+// 直接读取文件而不经过JsonFileStore：导入过程不修改 data/ 中的任何文件，文件损坏时中止导入
+function migrateStorage(options = {}) {
+    const config = loadConfig();
+    const rootDir = path.join(__dirname, '..');
+    const dataDir = path.join(rootDir, 'data');
+    const sqliteFile = path.resolve(rootDir, config.storage?.sqliteFile || 'data/xtream-proxy.db');
+    
+    if (fs.existsSync(path.join(dataDir, 'transaction.journal'))) {
+        throw new Error('data/transaction.journal 中有未完成的事务，请先启动一次服务完成该事务后再迁移');
+    }
+    
+    const target = new SqliteStore(sqliteFile, console);
+    
+    console.log('📦 迁移存储: JSON -> SQLite');
+    console.log('📋 数据目录:', dataDir);
+    console.log('📋 数据库文件:', target.getLocation());
+    
+    const names = listDocuments(dataDir);
+    if (names.length === 0) {
+        console.log('⚠️  数据目录中没有可迁移的JSON文件');
+        target.close();
+        return { imported: [], skipped: [] };
+    }
+    
+    const imported = [];
+    const skipped = [];
+    
+    try {
+        // 全部文档在一个事务中导入，任一文件无法解析时数据库保持不变
+        target.transaction(() => {
+            for (const name of names) {
+                if (target.has(name) && !options.force) {
+                    skipped.push(name);
+                    continue;
+                }
+                
+                let value;
+                try {
+                    value = JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8'));
+                } catch (error) {
+                    throw new Error(`${name}.json 解析失败: ${error.message}`);
+                }
+                
+                target.set(name, value);
+                imported.push(name);
+            }
+        });
+    } finally {
+        target.close();
+    }
+    
+    for (const name of imported) {
+        console.log(`   ✅ ${name}`);
+    }
+    for (const name of skipped) {
+        console.log(`   ⏭️  ${name}（数据库中已存在，使用 --force 覆盖）`);
+    }
+    
+    console.log(`✅ 迁移完成: 导入 ${imported.length} 个，跳过 ${skipped.length} 个`);
+    console.log('💡 在 config.json 中设置 "storage": { "backend": "sqlite" } 后重启服务即可使用SQLite存储');
+    console.log('💡 原有JSON文件未被删除，可作为备份保留');
+    
+    return { imported, skipped };
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+    try {
+        migrateStorage({ force: process.argv.includes('--force') });
+    } catch (error) {
+        console.error('❌ 迁移失败:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { migrateStorage };
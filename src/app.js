@@ -1,17 +1,33 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
 
 const UserManager = require('./managers/UserManager');
 const TelegramBotManager = require('./managers/TelegramBotManager');
 const ChannelManager = require('./managers/ChannelManager');
 const SecurityManager = require('./managers/SecurityManager');
+const EPGManager = require('./managers/EPGManager');
+const PackageManager = require('./managers/PackageManager');
+const AdminAuthManager = require('./managers/AdminAuthManager');
+const RoleManager = require('./managers/RoleManager');
+const StorageManager = require('./managers/StorageManager');
 const ConfigManager = require('./utils/ConfigManager');
 const Logger = require('./utils/Logger');
+const StreamRelay = require('./utils/StreamRelay');
+const HlsProxy = require('./utils/HlsProxy');
+const UpstreamHealth = require('./utils/UpstreamHealth');
 
 const playerRoutes = require('./routes/player');
 const adminRoutes = require('./routes/admin');
 const streamRoutes = require('./routes/stream');
+const movieRoutes = require('./routes/movie');
+const seriesRoutes = require('./routes/series');
+const timeshiftRoutes = require('./routes/timeshift');
+const logoRoutes = require('./routes/logos');
+
+const pipelineAsync = promisify(pipeline);
 
 class XtreamCodesProxy {
     constructor() {
@@ -26,17 +42,35 @@ class XtreamCodesProxy {
         
         this.port = process.env.PORT || this.config.server.port;
         
+        // 初始化存储（JSON文件或SQLite），各管理器通过它读写持久化数据
+        this.storage = new StorageManager(this.config, this.logger);
+        
         // 初始化管理器
-        this.userManager = new UserManager(this.config, this.logger);
-        this.channelManager = new ChannelManager(this.config, this.logger);
-        this.securityManager = new SecurityManager(this.config, this.logger);
+        this.userManager = new UserManager(this.config, this.logger, this.storage);
+        this.channelManager = new ChannelManager(this.config, this.logger, this.storage);
+        this.securityManager = new SecurityManager(this.config, this.logger, this.storage);
+        this.epgManager = new EPGManager(this.config, this.logger, this.storage);
+        this.packageManager = new PackageManager(this.config, this.logger, this.storage);
+        this.adminAuth = new AdminAuthManager(this.config, this.logger, this.storage);
+        this.roleManager = new RoleManager(this.config, this.logger, this.storage);
+        this.streamRelay = new StreamRelay(this.config, this.logger);
+        this.upstreamHealth = new UpstreamHealth(this.config, this.logger);
+        this.hlsProxy = new HlsProxy(this.config, this.logger, this.userManager, this.streamRelay);
         
         // 设置管理器之间的依赖关系
         this.userManager.setChannelManager(this.channelManager);
+        this.channelManager.setEPGManager(this.epgManager);
+        this.channelManager.setPackageManager(this.packageManager);
+        this.userManager.setPackageManager(this.packageManager);
+        this.streamRelay.setUpstreamHealth(this.upstreamHealth);
         
         // 初始化Telegram机器人
         if (this.config.features.enableTelegramBot) {
-            this.telegramBot = new TelegramBotManager(this.config, this.userManager, this.logger);
+            this.telegramBot = new TelegramBotManager(this.config, this.userManager, this.logger, this.storage);
+            this.telegramBot.setAdminAuth(this.adminAuth);
+            this.telegramBot.setRoleManager(this.roleManager);
+            this.telegramBot.setSecurityManager(this.securityManager);
+            this.telegramBot.setConfigManager(this.configManager);
         }
         
         this.setupMiddleware();
@@ -46,6 +80,9 @@ class XtreamCodesProxy {
     }
     
     setupMiddleware() {
+        // 只有显式配置了反向代理时才使用X-Forwarded-For确定req.ip，否则使用连接地址
+        this.app.set('trust proxy', this.config.server.trustProxy ?? false);
+        
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
         
@@ -80,11 +117,23 @@ class XtreamCodesProxy {
     setupRoutes() {
         // API路由
         this.app.use('/player_api.php', playerRoutes(this.userManager, this.channelManager, this.securityManager));
-        this.app.use('/admin', adminRoutes(this.userManager, this.channelManager, this.config));
-        this.app.use('/live', streamRoutes(this.userManager, this.channelManager, this.securityManager));
+        this.app.use('/admin', adminRoutes(this.userManager, this.channelManager, this.config, this.packageManager, this.adminAuth, this.roleManager, this.securityManager, this.storage));
+        this.app.use('/live', streamRoutes(this.userManager, this.channelManager, this.securityManager, this.streamRelay, this.hlsProxy));
         
         // 添加stream路由的别名以保持兼容性
-        this.app.use('/stream', streamRoutes(this.userManager, this.channelManager, this.securityManager));
+        this.app.use('/stream', streamRoutes(this.userManager, this.channelManager, this.securityManager, this.streamRelay, this.hlsProxy));
+        
+        // 点播影片播放
+        this.app.use('/movie', movieRoutes(this.userManager, this.channelManager, this.securityManager, this.streamRelay, this.hlsProxy));
+        
+        // 剧集单集播放
+        this.app.use('/series', seriesRoutes(this.userManager, this.channelManager, this.securityManager, this.streamRelay, this.hlsProxy));
+        
+        // 回看（时移）播放
+        this.app.use('/timeshift', timeshiftRoutes(this.userManager, this.channelManager, this.securityManager, this.streamRelay, this.hlsProxy));
+        
+        // 台标代理
+        this.app.use('/logos', logoRoutes(this.channelManager));
         
         // 兼容路由
         this.app.get('/get.php', (req, res) => this.handleGetPlaylist(req, res));
@@ -114,12 +163,24 @@ class XtreamCodesProxy {
             // 初始化用户管理器
             await this.userManager.initialize();
             
+            // 首次启动时创建管理面板账号，初始账号是owner
+            const initialAccount = await this.adminAuth.ensureInitialAccount();
+            if (initialAccount) {
+                this.roleManager.setRole('accounts', initialAccount.username, 'owner');
+            }
+            
             // 初始化频道管理器
             await this.channelManager.initialize();
             
+            // 初始化EPG管理器
+            await this.epgManager.initialize();
+            
             // 启动定时任务
             this.startBackgroundTasks();
             
+            // 所有数据加载完成后，提醒管理员启动时从备份恢复过的数据文件
+            this.reportStorageRecoveries();
+            
             this.logger.info('✅ All services initialized successfully');
         } catch (error) {
             this.logger.error('❌ Error initializing services:', error);
@@ -127,18 +188,63 @@ class XtreamCodesProxy {
         }
     }
     
+    reportStorageRecoveries() {
+        const recoveries = this.storage.getRecoveries();
+        if (recoveries.length === 0) {
+            return;
+        }
+        
+        const lines = recoveries.map(recovery => recovery.backup
+            ? `• ${recovery.name}: 已从备份 ${recovery.backup} 恢复（备份时间 ${new Date(recovery.backupTime).toLocaleString()}，之后的修改已丢失）`
+            : `• ${recovery.name}: 没有可用的备份，已按空数据启动`);
+        
+        console.error('🚨 检测到损坏的数据文件:');
+        lines.forEach(line => console.error(`   ${line}`));
+        console.error('   损坏的原文件已改名保留在 data/ 目录中（*.corrupt-*）');
+        
+        if (this.telegramBot) {
+            const message = `🚨 数据文件损坏\n\n${lines.join('\n')}\n\n损坏的原文件已改名保留在 data/ 目录中（*.corrupt-*），请检查服务器磁盘以及最近是否有异常退出。`;
+            this.telegramBot.notifyAdminsWhenReady(message).catch(error => {
+                this.logger.error('Failed to notify admins about storage recovery:', error.message);
+            });
+        }
+    }
+    
     startBackgroundTasks() {
         // 启动清理任务
         setInterval(() => {
             this.userManager.cleanup();
             this.securityManager.cleanup();
+            this.upstreamHealth.cleanup();
+            this.adminAuth.cleanup();
         }, this.config.security.cleanupInterval || 30000);
         
-        // 启动频道刷新任务
-        if (this.config.features.channelRefreshInterval > 0) {
+        // 启动频道刷新任务（按各源自己的刷新间隔刷新）
+        const channelRefreshTick = this.channelManager.getRefreshTickInterval();
+        if (this.config.features.channelRefreshInterval > 0 && channelRefreshTick > 0) {
+            setInterval(() => {
+                this.channelManager.refreshChannels({ force: false, trigger: 'scheduled' });
+            }, channelRefreshTick);
+        }
+        
+        // 启动频道健康检测任务
+        const healthCheckInterval = this.channelManager.getHealthCheckInterval();
+        if (healthCheckInterval > 0) {
+            setInterval(() => {
+                this.channelManager.runHealthCheck().catch(error => {
+                    this.logger.error('Channel health check failed:', error.message);
+                });
+            }, healthCheckInterval);
+        }
+        
+        // 启动EPG刷新任务
+        const epgRefreshInterval = this.epgManager.getEPGConfig().refreshInterval;
+        if (this.epgManager.isEnabled() && epgRefreshInterval > 0) {
             setInterval(() => {
-                this.channelManager.refreshChannels();
-            }, this.config.features.channelRefreshInterval);
+                this.epgManager.refresh().catch(error => {
+                    this.logger.error('EPG refresh failed:', error.message);
+                });
+            }, epgRefreshInterval);
         }
         
         // 启动Telegram机器人任务
@@ -225,10 +331,29 @@ class XtreamCodesProxy {
     
     async handleXMLTV(req, res) {
         try {
-            const xmltv = await this.channelManager.generateXMLTV();
+            const { username, password } = req.query;
+            let channels = this.channelManager.getVisibleChannels();
+            
+            // 提供凭据时只输出用户套餐内频道的节目单
+            if (username || password) {
+                if (!await this.userManager.authenticateUser(username, password)) {
+                    return res.status(401).send('Unauthorized');
+                }
+                channels = await this.userManager.getChannelsForUser(username);
+            } else if (this.packageManager.hasPackages()) {
+                // 启用套餐后不再匿名输出完整节目单
+                return res.status(401).send('Unauthorized');
+            }
+            
+            // 逐段写出节目单，按客户端的接收速度生成，客户端断开时停止
+            const xmltv = Readable.from(this.channelManager.generateXMLTV(channels, this.userManager.getServerUrl()));
             res.setHeader('Content-Type', 'application/xml');
-            res.send(xmltv);
+            await pipelineAsync(xmltv, res);
         } catch (error) {
+            if (res.headersSent) {
+                this.logger.warn(`XMLTV response aborted: ${error.message}`);
+                return;
+            }
             this.logger.error('XMLTV generation error:', error);
             res.status(500).send('Internal Server Error');
         }
@@ -249,8 +374,10 @@ class XtreamCodesProxy {
                     await this.telegramBot.gracefulShutdown();
                 }
                 
+                await this.streamRelay.gracefulShutdown();
                 await this.userManager.gracefulShutdown();
                 await this.channelManager.gracefulShutdown();
+                this.storage.close();
                 
                 this.logger.info('✅ Graceful shutdown completed');
                 process.exit(0);
@@ -272,6 +399,9 @@ class XtreamCodesProxy {
             console.log(`   - Playlist: http://${this.config.server.host}:${this.port}/get.php?username=USER&password=PASS&type=m3u_plus`);
             console.log(`   - Player API: http://${this.config.server.host}:${this.port}/player_api.php`);
             console.log(`   - Live Stream: http://${this.config.server.host}:${this.port}/live/encrypted/TOKEN`);
+            console.log(`   - Movie: http://${this.config.server.host}:${this.port}/movie/USER/PASS/ID.EXT`);
+            console.log(`   - Series: http://${this.config.server.host}:${this.port}/series/USER/PASS/ID.EXT`);
+            console.log(`   - Timeshift: http://${this.config.server.host}:${this.port}/timeshift/USER/PASS/MINUTES/YYYY-MM-DD:HH-MM/ID.ts`);
             console.log(`   - Health Check: http://${this.config.server.host}:${this.port}/health`);
             this.logger.info(`🚀 Xtream Codes Proxy Server running on http://${this.config.server.host}:${this.port}`);
         });
@@ -299,8 +429,10 @@ class XtreamCodesProxy {
                 await this.telegramBot.gracefulShutdown();
             }
             
+            await this.streamRelay.gracefulShutdown();
             await this.userManager.gracefulShutdown();
             await this.channelManager.gracefulShutdown();
+            this.storage.close();
             
             this.logger.info('✅ Graceful shutdown completed');
             process.exit(0);
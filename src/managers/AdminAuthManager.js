@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const PasswordHasher = require('../utils/PasswordHasher');
+
+const SESSION_COOKIE = 'xcp_admin_session';
+
+// 管理面板认证：本地管理员账号（scrypt哈希）、会话Cookie、API密钥、Telegram登录，以及失败锁定
+class AdminAuthManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        this.accounts = {};
+        this.apiKeys = {};
+        
+        // 会话令牌 -> { username, method, createdAt, expiresAt }，重启后需重新登录
+        this.sessions = new Map();
+        // Telegram一次性登录码 -> { telegramUserId, expiresAt }
+        this.loginCodes = new Map();
+        // ip:xxx / user:xxx -> { failures, lastFailure, lockedUntil }
+        this.failures = new Map();
+        
+        this.passwordHasher = new PasswordHasher();
+        
+        this.loadData();
+    }
+    
+    getAuthConfig() {
+        return {
+            enabled: true,
+            sessionTtl: 43200000,
+            maxFailures: 5,
+            lockoutDuration: 900000,
+            telegramLogin: true,
+            loginCodeTtl: 300000,
+            initialPassword: process.env.ADMIN_PASSWORD || '',
+            ...(this.config.adminAuth || {})
+        };
+    }
+    
+    isEnabled() {
+        return this.getAuthConfig().enabled !== false;
+    }
+    
+    loadData() {
+        try {
+            const data = this.storage.get('admin-auth');
+            if (data) {
+                this.accounts = data.accounts || {};
+                this.apiKeys = data.apiKeys || {};
+            }
+        } catch (error) {
+            this.logger.error('Error loading admin accounts:', error);
+        }
+    }
+    
+    saveData() {
+        try {
+            this.storage.set('admin-auth', {
+                accounts: this.accounts,
+                apiKeys: this.apiKeys
+            });
+        } catch (error) {
+            this.logger.error('Error saving admin accounts:', error);
+        }
+    }
+    
+    // 首次启动时创建admin账号：密码取自 adminAuth.initialPassword 或 ADMIN_PASSWORD，未设置时随机生成并输出到控制台；
+    // 返回新建的账号，已有账号时返回null
+    async ensureInitialAccount() {
+        if (!this.isEnabled() || Object.keys(this.accounts).length > 0) {
+            return null;
+        }
+        
+        const configured = this.getAuthConfig().initialPassword;
+        const password = configured || crypto.randomBytes(12).toString('base64url');
+        const account = await this.createAccount('admin', password);
+        
+        if (!configured) {
+            console.log(`🔑 已创建管理员账号 admin，初始密码：${password}`);
+            console.log('   请登录 /admin 后立即修改密码');
+        }
+        this.logger.warn('Initial admin account "admin" created');
+        return account;
+    }
+    
+    async hashPassword(password) {
+        return this.passwordHasher.hash(password);
+    }
+    
+    async verifyPassword(password, stored) {
+        return this.passwordHasher.verify(password, stored);
+    }
+    
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+    }
+    
+    async createAccount(username, password) {
+        if (!/^[\w.-]{3,32}$/.test(username || '')) {
+            throw new Error('Username must be 3-32 characters (letters, digits, . _ -)');
+        }
+        if (this.accounts[username]) {
+            throw new Error('Admin account already exists');
+        }
+        this.validatePassword(password);
+        
+        this.accounts[username] = {
+            passwordHash: await this.hashPassword(password),
+            createdAt: Date.now(),
+            lastLogin: null
+        };
+        this.saveData();
+        this.logger.info(`Admin account ${username} created`);
+        return this.getAccount(username);
+    }
+    
+    async changePassword(username, password) {
+        if (!this.accounts[username]) {
+            throw new Error('Admin account not found');
+        }
+        this.validatePassword(password);
+        
+        this.accounts[username].passwordHash = await this.hashPassword(password);
+        this.accounts[username].passwordChangedAt = Date.now();
+        this.saveData();
+        this.revokeSessions(username);
+        this.logger.info(`Password changed for admin account ${username}`);
+    }
+    
+    deleteAccount(username) {
+        if (!this.accounts[username]) {
+            throw new Error('Admin account not found');
+        }
+        if (Object.keys(this.accounts).length === 1) {
+            throw new Error('Cannot delete the last admin account');
+        }
+        
+        delete this.accounts[username];
+        this.saveData();
+        this.revokeSessions(username);
+        this.logger.info(`Admin account ${username} deleted`);
+    }
+    
+    getAccount(username) {
+        const account = this.accounts[username];
+        if (!account) {
+            return null;
+        }
+        const { passwordHash, ...info } = account;
+        return { username, ...info };
+    }
+    
+    getAccounts() {
+        return Object.keys(this.accounts).map(username => this.getAccount(username));
+    }
+    
+    // 失败锁定：同一IP或同一用户名连续失败maxFailures次后锁定lockoutDuration
+    getLockout(...keys) {
+        const now = Date.now();
+        const lockedUntil = Math.max(0, ...keys.map(key => this.failures.get(key)?.lockedUntil || 0));
+        return lockedUntil > now ? lockedUntil : null;
+    }
+    
+    recordFailure(...keys) {
+        const { maxFailures, lockoutDuration } = this.getAuthConfig();
+        for (const key of keys) {
+            const state = this.failures.get(key) || { failures: 0, lockedUntil: 0 };
+            state.failures++;
+            state.lastFailure = Date.now();
+            if (state.failures >= maxFailures) {
+                state.lockedUntil = Date.now() + lockoutDuration;
+                state.failures = 0;
+                this.logger.warn(`Admin login locked for ${key} until ${new Date(state.lockedUntil).toISOString()}`);
+            }
+            this.failures.set(key, state);
+        }
+    }
+    
+    clearFailures(...keys) {
+        keys.forEach(key => this.failures.delete(key));
+    }
+    
+    // 用户名密码登录，成功返回会话，失败抛出带status的错误
+    async login(username, password, clientIP) {
+        const keys = [`ip:${clientIP}`, `user:${username}`];
+        const lockedUntil = this.getLockout(...keys);
+        if (lockedUntil) {
+            const error = new Error('Too many failed attempts, try again later');
+            error.status = 429;
+            error.retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+            throw error;
+        }
+        
+        // 用户名不存在时同样计算一次哈希，避免通过响应时间判断用户名是否存在
+        const account = this.accounts[username];
+        const valid = account
+            ? await this.verifyPassword(password, account.passwordHash)
+            : (await this.hashPassword(String(password)), false);
+        if (!valid) {
+            this.recordFailure(...keys);
+            this.logger.warn(`Failed admin login for ${username || 'unknown'} from ${clientIP}`);
+            const error = new Error('Invalid username or password');
+            error.status = 401;
+            throw error;
+        }
+        
+        this.clearFailures(...keys);
+        account.lastLogin = Date.now();
+        this.saveData();
+        this.logger.info(`Admin ${username} logged in from ${clientIP}`);
+        return this.createSession(username, 'password');
+    }
+    
+    // 修改自己的密码前校验当前密码，防止被盗用的会话直接改掉密码；失败次数按IP计入锁定
+    async verifyCurrentPassword(username, password, clientIP) {
+        const lockedUntil = this.getLockout(`ip:${clientIP}`);
+        if (lockedUntil) {
+            const error = new Error('Too many failed attempts, try again later');
+            error.status = 429;
+            error.retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+            throw error;
+        }
+        
+        const account = this.accounts[username];
+        if (!account || typeof password !== 'string' || !password || !await this.verifyPassword(password, account.passwordHash)) {
+            this.recordFailure(`ip:${clientIP}`);
+            this.logger.warn(`Wrong current password for admin ${username} from ${clientIP}`);
+            const error = new Error('Current password is incorrect');
+            error.status = 403;
+            throw error;
+        }
+        this.clearFailures(`ip:${clientIP}`);
+    }
+    
+    createSession(username, method) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        const session = { username, method, createdAt: now, expiresAt: now + this.getAuthConfig().sessionTtl };
+        this.sessions.set(token, session);
+        return { token, ...session };
+    }
+    
+    getSession(token) {
+        const session = token ? this.sessions.get(token) : null;
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+    
+    logout(token) {
+        this.sessions.delete(token);
+    }
+    
+    revokeSessions(username) {
+        for (const [token, session] of this.sessions) {
+            if (session.username === username) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+    
+    // API密钥只在创建时返回一次，文件中只保存哈希
+    createApiKey(name, createdBy) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('API key name is required');
+        }
+        
+        const key = `xcp_${crypto.randomBytes(24).toString('base64url')}`;
+        const id = crypto.randomBytes(6).toString('hex');
+        this.apiKeys[id] = {
+            name,
+            hash: this.hashApiKey(key),
+            prefix: key.slice(0, 8),
+            createdAt: Date.now(),
+            createdBy,
+            lastUsed: null
+        };
+        this.saveData();
+        this.logger.info(`API key ${id} (${name}) created by ${createdBy}`);
+        return { id, key, ...this.getApiKeyInfo(id) };
+    }
+    
+    hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+    
+    getApiKeyInfo(id) {
+        const { hash, ...info } = this.apiKeys[id];
+        return { id, ...info };
+    }
+    
+    getApiKeys() {
+        return Object.keys(this.apiKeys).map(id => this.getApiKeyInfo(id));
+    }
+    
+    revokeApiKey(id) {
+        if (!this.apiKeys[id]) {
+            throw new Error('API key not found');
+        }
+        delete this.apiKeys[id];
+        this.saveData();
+        this.logger.info(`API key ${id} revoked`);
+    }
+    
+    verifyApiKey(key) {
+        const hash = this.hashApiKey(key);
+        const entry = Object.entries(this.apiKeys).find(([, apiKey]) =>
+            crypto.timingSafeEqual(Buffer.from(apiKey.hash, 'hex'), Buffer.from(hash, 'hex'))
+        );
+        if (!entry) {
+            return null;
+        }
+        
+        const [id, apiKey] = entry;
+        apiKey.lastUsed = Date.now();
+        return { id, name: apiKey.name };
+    }
+    
+    isTelegramAdmin(telegramUserId) {
+        const telegram = this.config.telegram || {};
+        const id = String(telegramUserId);
+        return (telegram.adminUserIds || []).map(String).includes(id) || String(telegram.adminUserId || '') === id;
+    }
+    
+    // 为Telegram管理员生成一次性登录码
+    createTelegramLoginCode(telegramUserId) {
+        const { telegramLogin, loginCodeTtl } = this.getAuthConfig();
+        if (!telegramLogin) {
+            throw new Error('Telegram login is disabled');
+        }
+        if (!this.isTelegramAdmin(telegramUserId)) {
+            throw new Error('Not a Telegram admin');
+        }
+        
+        const code = crypto.randomBytes(24).toString('base64url');
+        this.loginCodes.set(code, { telegramUserId: String(telegramUserId), expiresAt: Date.now() + loginCodeTtl });
+        return { code, expiresAt: Date.now() + loginCodeTtl };
+    }
+    
+    // 使用登录码登录，登录码只能使用一次，且使用时仍需是管理员
+    redeemTelegramLoginCode(code, clientIP) {
+        const lockedUntil = this.getLockout(`ip:${clientIP}`);
+        if (lockedUntil) {
+            const error = new Error('Too many failed attempts, try again later');
+            error.status = 429;
+            error.retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+            throw error;
+        }
+        
+        const entry = code ? this.loginCodes.get(code) : null;
+        this.loginCodes.delete(code);
+        if (!entry || entry.expiresAt <= Date.now() || !this.isTelegramAdmin(entry.telegramUserId)) {
+            this.recordFailure(`ip:${clientIP}`);
+            const error = new Error('Invalid or expired login link');
+            error.status = 401;
+            throw error;
+        }
+        
+        this.clearFailures(`ip:${clientIP}`);
+        this.logger.info(`Telegram admin ${entry.telegramUserId} logged in from ${clientIP}`);
+        return this.createSession(`telegram:${entry.telegramUserId}`, 'telegram');
+    }
+    
+    // 登录失败锁定按IP计数，不能信任客户端可伪造的X-Forwarded-For：
+    // 使用req.ip，仅在配置了server.trustProxy时由Express从代理头中解析
+    getClientIP(req) {
+        return req.ip || req.socket?.remoteAddress || 'unknown';
+    }
+    
+    parseCookies(req) {
+        const cookies = {};
+        for (const part of String(req.headers.cookie || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                // 格式错误的cookie值（如孤立的%）直接跳过，不影响其他cookie
+                try {
+                    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+                } catch (error) {
+                    continue;
+                }
+            }
+        }
+        return cookies;
+    }
+    
+    // 从请求中识别管理员：Bearer API密钥或会话Cookie，返回 { username, method } 或null
+    authenticateRequest(req) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            const clientIP = this.getClientIP(req);
+            if (this.getLockout(`ip:${clientIP}`)) {
+                return null;
+            }
+            
+            const apiKey = this.verifyApiKey(authorization.slice(7).trim());
+            if (!apiKey) {
+                this.recordFailure(`ip:${clientIP}`);
+                this.logger.warn(`Invalid admin API key from ${clientIP}`);
+                return null;
+            }
+            return { username: `apikey:${apiKey.name}`, method: 'apiKey', apiKeyId: apiKey.id };
+        }
+        
+        const token = this.parseCookies(req)[SESSION_COOKIE];
+        const session = this.getSession(token);
+        if (!session) {
+            return null;
+        }
+        
+        // 通过Telegram登录的会话在其被移除管理员后立即失效
+        if (session.method === 'telegram' && !this.isTelegramAdmin(session.username.replace(/^telegram:/, ''))) {
+            this.logout(token);
+            return null;
+        }
+        return { username: session.username, method: session.method, sessionToken: token };
+    }
+    
+    buildSessionCookie(session, secure) {
+        const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+        return `${SESSION_COOKIE}=${session.token}; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+    
+    buildLogoutCookie() {
+        return `${SESSION_COOKIE}=; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+    
+    cleanup() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        }
+        for (const [code, entry] of this.loginCodes) {
+            if (entry.expiresAt <= now) this.loginCodes.delete(code);
+        }
+        const { lockoutDuration } = this.getAuthConfig();
+        for (const [key, state] of this.failures) {
+            if (state.lockedUntil <= now && now - state.lastFailure >= lockoutDuration) this.failures.delete(key);
+        }
+    }
+}
+
+module.exports = AdminAuthManager;
@@ -0,0 +1,248 @@
+const axios = require('axios');
+const RequestCanceller = require('../utils/RequestCanceller');
+
+// 读取多少字节用于判断内容是否有效
+const SNIFF_BYTES = 4096;
+
+// 后台检测频道地址是否可用：HTTP状态、内容类型、首个数据块（TS同步字节或HLS播放列表头）
+class ChannelHealthManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // 频道ID -> { status, lastCheck, lastUp, downSince, latency, statusCode, contentType, error, history }
+        this.results = {};
+        this.running = false;
+        this.lastRun = null;
+        
+        this.loadResults();
+    }
+    
+    getHealthConfig() {
+        return {
+            enabled: false,
+            interval: 3600000,
+            concurrency: 5,
+            timeout: 10000,
+            historySize: 24,
+            hideAfter: 0,
+            ...(this.config.healthCheck || {})
+        };
+    }
+    
+    loadResults() {
+        try {
+            const data = this.storage.get('channel-health');
+            if (data) {
+                this.results = data;
+            }
+        } catch (error) {
+            this.logger.error('Error loading channel health:', error);
+        }
+    }
+    
+    saveResults() {
+        try {
+            this.storage.set('channel-health', this.results);
+        } catch (error) {
+            this.logger.error('Error saving channel health:', error);
+        }
+    }
+    
+    // 检测单个地址，返回 { ok, statusCode, contentType, latency, error }
+    async probe(url) {
+        const { timeout } = this.getHealthConfig();
+        const canceller = new RequestCanceller();
+        const timer = setTimeout(() => canceller.abort(), timeout);
+        const startTime = Date.now();
+        const result = { ok: false, statusCode: null, contentType: '', latency: null, error: null };
+        
+        try {
+            const response = await axios.get(url, {
+                responseType: 'stream',
+                ...canceller.getRequestOptions(),
+                maxRedirects: 5,
+                headers: {
+                    'User-Agent': this.config.streaming?.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                },
+                validateStatus: () => true
+            });
+            
+            result.statusCode = response.status;
+            result.contentType = String(response.headers['content-type'] || '');
+            if (response.status >= 400) {
+                response.data.destroy();
+                result.error = `HTTP ${response.status}`;
+                return result;
+            }
+            
+            const head = await this.readHead(response.data);
+            result.latency = Date.now() - startTime;
+            result.error = this.checkContent(url, result.contentType, head);
+            result.ok = !result.error;
+            return result;
+        } catch (error) {
+            result.error = canceller.aborted ? `timeout after ${timeout}ms` : (error.code || error.message);
+            return result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // 按优先级依次检测频道的所有地址（包括其他源的备用地址），任一地址可用即视为频道可用；
+    // 全部失败时返回主地址的检测结果
+    async probeChannel(channel) {
+        const urls = channel.urls?.length ? channel.urls : [channel.url];
+        let firstFailure = null;
+        
+        for (const url of urls) {
+            const result = { ...(await this.probe(url)), url };
+            if (result.ok) {
+                return result;
+            }
+            firstFailure = firstFailure || result;
+        }
+        
+        if (urls.length > 1) {
+            firstFailure.error = `all ${urls.length} URLs failed (${firstFailure.error})`;
+        }
+        return firstFailure;
+    }
+    
+    // 读取响应开头的若干字节后立即断开，不下载整个流
+    readHead(stream) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+            const finish = () => {
+                stream.removeAllListeners('data');
+                stream.destroy();
+                resolve(Buffer.concat(chunks, length));
+            };
+            
+            stream.on('data', chunk => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= SNIFF_BYTES) {
+                    finish();
+                }
+            });
+            stream.on('end', finish);
+            stream.on('close', finish);
+            stream.on('error', reject);
+        });
+    }
+    
+    // 内容有效时返回null，否则返回原因
+    checkContent(url, contentType, head) {
+        if (head.length === 0) {
+            return 'empty response';
+        }
+        
+        const text = head.toString('utf8', 0, Math.min(head.length, 512)).replace(/^\uFEFF/, '').trimStart();
+        const isPlaylist = /mpegurl/i.test(contentType) || /\.m3u8?(\?|$)/i.test(url);
+        if (isPlaylist) {
+            return text.startsWith('#EXTM3U') ? null : 'invalid HLS manifest';
+        }
+        
+        if (/text\/html/i.test(contentType) || /^<(!doctype|html)/i.test(text)) {
+            return 'HTML page instead of stream';
+        }
+        
+        // MPEG-TS每个包以0x47开头
+        const isTransportStream = /mp2t/i.test(contentType) || /\.ts(\?|$)/i.test(url);
+        if (isTransportStream && head[0] !== 0x47) {
+            return 'invalid MPEG-TS data';
+        }
+        
+        return null;
+    }
+    
+    recordResult(channel, result) {
+        const { historySize } = this.getHealthConfig();
+        const now = Date.now();
+        const previous = this.results[channel.id] || { history: [] };
+        
+        this.results[channel.id] = {
+            name: channel.name,
+            status: result.ok ? 'up' : 'down',
+            lastCheck: now,
+            lastUp: result.ok ? now : previous.lastUp || null,
+            downSince: result.ok ? null : (previous.downSince || now),
+            latency: result.latency,
+            url: result.url,
+            statusCode: result.statusCode,
+            contentType: result.contentType,
+            error: result.error,
+            history: [
+                ...previous.history,
+                { time: now, ok: result.ok, latency: result.latency }
+            ].slice(-historySize)
+        };
+    }
+    
+    // 按并发限制检测一批频道，同一时间只运行一轮
+    async checkChannels(channels) {
+        if (this.running) {
+            this.logger.warn('Channel health check already running, skipping');
+            return null;
+        }
+        
+        this.running = true;
+        const startTime = Date.now();
+        const { concurrency } = this.getHealthConfig();
+        let index = 0;
+        let down = 0;
+        
+        const worker = async () => {
+            while (index < channels.length) {
+                const channel = channels[index++];
+                const result = await this.probeChannel(channel);
+                this.recordResult(channel, result);
+                if (!result.ok) down++;
+            }
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+            
+            // 删除已不存在的频道的记录
+            const ids = new Set(channels.map(channel => String(channel.id)));
+            for (const id of Object.keys(this.results)) {
+                if (!ids.has(id)) delete this.results[id];
+            }
+            
+            this.lastRun = { startedAt: startTime, duration: Date.now() - startTime, checked: channels.length, down };
+            this.saveResults();
+            this.logger.info(`Channel health check finished: ${channels.length - down}/${channels.length} up in ${Math.round((Date.now() - startTime) / 1000)}s`);
+            return this.lastRun;
+        } finally {
+            this.running = false;
+        }
+    }
+    
+    getResult(channelId) {
+        return this.results[channelId] || null;
+    }
+    
+    // 持续不可用超过hideAfter的频道对用户隐藏（hideAfter为0时不隐藏）
+    isHidden(channel) {
+        const { hideAfter } = this.getHealthConfig();
+        const result = this.results[channel.id];
+        return hideAfter > 0 && !!result?.downSince && Date.now() - result.downSince >= hideAfter;
+    }
+    
+    getSummary() {
+        const results = Object.values(this.results);
+        return {
+            running: this.running,
+            lastRun: this.lastRun,
+            checked: results.length,
+            up: results.filter(result => result.status === 'up').length,
+            down: results.filter(result => result.status === 'down').length
+        };
+    }
+}
+
+module.exports = ChannelHealthManager;
@@ -0,0 +1,93 @@
+// 条目类型：直播频道、点播、剧集、单集以及三类分类，各自使用独立的ID空间
+const ID_KINDS = ['live', 'vod', 'series', 'episode', 'live-category', 'vod-category', 'series-category'];
+
+class ChannelIdManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // 类型 -> { nextId, ids: { 标识键 -> ID } }
+        this.mappings = {};
+        this.dirty = false;
+        
+        this.loadMappings();
+    }
+    
+    loadMappings() {
+        try {
+            const data = this.storage.get('channel-ids');
+            if (data) {
+                this.mappings = data;
+            }
+        } catch (error) {
+            this.logger.error('Error loading channel ID mappings:', error);
+        }
+        
+        for (const kind of ID_KINDS) {
+            if (!this.mappings[kind]) {
+                this.mappings[kind] = { nextId: 1, ids: {} };
+            }
+        }
+    }
+    
+    saveMappings() {
+        if (!this.dirty) {
+            return;
+        }
+        
+        try {
+            this.storage.set('channel-ids', this.mappings);
+            this.dirty = false;
+            this.logger.debug('Channel ID mappings saved');
+        } catch (error) {
+            this.logger.error('Error saving channel ID mappings:', error);
+        }
+    }
+    
+    // 获取标识键对应的ID，新键分配一个从未使用过的ID（已删除条目的ID不会被复用）
+    getId(kind, key) {
+        const mapping = this.mappings[kind];
+        if (mapping.ids[key] === undefined) {
+            mapping.ids[key] = mapping.nextId++;
+            this.dirty = true;
+        }
+        return mapping.ids[key];
+    }
+    
+    // 为一次刷新创建分配器：同一次刷新中完全相同的标识键依次加上序号区分
+    createAllocator(kind) {
+        const used = new Set();
+        
+        return (key) => {
+            let uniqueKey = key;
+            let counter = 2;
+            while (used.has(uniqueKey)) {
+                uniqueKey = `${key}#${counter++}`;
+            }
+            
+            used.add(uniqueKey);
+            return this.getId(kind, uniqueKey);
+        };
+    }
+    
+    // 分配前的映射状态：新目录未通过校验时恢复，被拒绝的目录不会留下ID
+    createCheckpoint() {
+        return {
+            dirty: this.dirty,
+            mappings: Object.fromEntries(Object.entries(this.mappings).map(([kind, mapping]) =>
+                [kind, { nextId: mapping.nextId, ids: { ...mapping.ids } }]))
+        };
+    }
+    
+    restoreCheckpoint(checkpoint) {
+        this.mappings = checkpoint.mappings;
+        this.dirty = checkpoint.dirty;
+    }
+    
+    getStats() {
+        return Object.fromEntries(ID_KINDS.map(kind => [kind, Object.keys(this.mappings[kind].ids).length]));
+    }
+}
+
+module.exports = ChannelIdManager;
@@ -1,27 +1,55 @@
-const fs = require('fs');
-const path = require('path');
 const axios = require('axios');
+const ChannelIdManager = require('./ChannelIdManager');
+const M3UParser = require('../utils/M3UParser');
+const StreamDecoder = require('../utils/StreamDecoder');
+const RequestCanceller = require('../utils/RequestCanceller');
+const CatchupBuilder = require('../utils/CatchupBuilder');
+const ChannelRules = require('../utils/ChannelRules');
+const SnapshotManager = require('./SnapshotManager');
+const ChannelOrderManager = require('./ChannelOrderManager');
+const ChannelHealthManager = require('./ChannelHealthManager');
+const LogoManager = require('./LogoManager');
+const RefreshHistoryManager = require('./RefreshHistoryManager');
 
 class ChannelManager {
-    constructor(config, logger) {
+    constructor(config, logger, storage) {
         this.config = config;
         this.logger = logger;
+        this.storage = storage;
         
         this.channels = [];
         this.categories = [];
+        this.catalogueChannels = null;
+        this.catalogueCategories = null;
+        // 分类名 -> 分类ID，按 live/vod/series 分别保存
+        this.categoryIds = { live: {}, vod: {}, series: {} };
+        this.vodStreams = [];
+        this.vodCategories = [];
+        this.series = [];
+        this.seriesCategories = [];
+        this.episodeIndex = new Map();
+        // 源名称 -> { timestamp, entries }，保留每个源最近一次成功获取的条目
+        this.sourceEntries = new Map();
         this.lastRefresh = 0;
+        this.epgManager = null;
+        this.packageManager = null;
         
-        // 数据文件路径
-        this.dataDir = path.join(__dirname, '../../data');
-        this.channelsFile = path.join(this.dataDir, 'channels.json');
+        this.m3uParser = new M3UParser();
+        this.catchupBuilder = new CatchupBuilder(config, logger);
+        this.channelRules = new ChannelRules(config, logger);
+        this.snapshotManager = new SnapshotManager(config, logger);
+        this.refreshHistory = new RefreshHistoryManager(config, logger, storage);
+        this.orderManager = new ChannelOrderManager(config, logger, storage);
+        this.healthManager = new ChannelHealthManager(config, logger, storage);
+        this.logoManager = new LogoManager(config, logger, storage);
+        this.currentSnapshotId = null;
+        this.lastRefreshError = null;
+        this.usingSampleChannels = false;
+        // 合并后的 #EXTM3U 头部属性
+        this.playlistHeader = {};
         
-        this.ensureDataDirectory();
-    }
-    
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+        // 持久化的ID映射，保证刷新和重启后频道ID不变
+        this.idManager = new ChannelIdManager(config, logger, storage);
     }
     
     async initialize() {
@@ -31,26 +59,30 @@ class ChannelManager {
     
     async loadChannels() {
         try {
-            // 检查是否有有效的URL配置
-            const hasValidUrl = this.config.originalServer?.url && 
-                               this.config.originalServer.url !== 'http://example.com' &&
-                               this.config.originalServer.url !== '';
-            
-            if (hasValidUrl) {
-                // 如果有有效URL，优先从服务器刷新
+            // 检查是否配置了有效的M3U源
+            if (this.hasSources()) {
+                // 先恢复缓存的目录和各源条目：刷新失败或未通过校验时继续使用，
+                // 同时作为校验频道数量下降幅度的基准
+                this.loadSourceEntriesFromCache();
                 await this.refreshChannels();
                 return;
             }
             
             // 如果没有有效URL，尝试从缓存加载
-            if (this.config.features.cacheChannels && fs.existsSync(this.channelsFile)) {
-                const cacheData = JSON.parse(fs.readFileSync(this.channelsFile, 'utf8'));
+            const cacheData = this.config.features.cacheChannels ? this.storage.get('channels') : null;
+            if (cacheData) {
                 const cacheAge = Date.now() - cacheData.timestamp;
                 const maxCacheAge = this.config.features.channelRefreshInterval || 3600000;
                 
                 if (cacheAge < maxCacheAge) {
                     this.channels = cacheData.channels || [];
                     this.categories = cacheData.categories || [];
+                    this.vodStreams = cacheData.vodStreams || [];
+                    this.vodCategories = cacheData.vodCategories || [];
+                    this.series = cacheData.series || [];
+                    this.seriesCategories = cacheData.seriesCategories || [];
+                    this.playlistHeader = cacheData.playlistHeader || {};
+                    this.indexEpisodes();
                     this.lastRefresh = cacheData.timestamp;
                     this.logger.info(`Loaded ${this.channels.length} channels from cache`);
                     return;
@@ -66,36 +98,291 @@ class ChannelManager {
         }
     }
     
-    async refreshChannels() {
+    // 获取M3U源列表；未配置sources时使用originalServer的单一地址
+    getSources() {
+        const originalServer = this.config.originalServer || {};
+        const defaultInterval = this.config.features?.channelRefreshInterval || 3600000;
+        
+        let sources = originalServer.sources;
+        if (!Array.isArray(sources) || sources.length === 0) {
+            if (!originalServer.url || originalServer.url === 'http://example.com') {
+                return [];
+            }
+            sources = [{
+                name: 'default',
+                url: `${originalServer.url}${originalServer.m3uPath || ''}`
+            }];
+        }
+        
+        return sources
+            .map(source => typeof source === 'string' ? { url: source } : source)
+            .filter(source => source && source.url && source.enabled !== false)
+            .map((source, index) => ({
+                name: source.name || `source-${index + 1}`,
+                url: source.url,
+                timeout: source.timeout || originalServer.timeout || 10000,
+                headers: source.headers || {},
+                refreshInterval: source.refreshInterval || defaultInterval,
+                categoryPrefix: source.categoryPrefix || '',
+                priority: source.priority ?? index
+            }))
+            .sort((a, b) => a.priority - b.priority);
+    }
+    
+    hasSources() {
+        return this.getSources().length > 0;
+    }
+    
+    // 后台刷新任务的检查间隔：取各源刷新间隔中的最小值
+    getRefreshTickInterval() {
+        const intervals = this.getSources().map(source => source.refreshInterval);
+        const defaultInterval = this.config.features?.channelRefreshInterval || 0;
+        if (defaultInterval > 0) {
+            intervals.push(defaultInterval);
+        }
+        return intervals.length > 0 ? Math.min(...intervals) : 0;
+    }
+    
+    // 以流的方式下载并逐行解析M3U，超大播放列表也不会整体载入内存
+    async fetchSource(source) {
+        const canceller = new RequestCanceller();
+        const response = await axios.get(source.url, {
+            responseType: 'stream',
+            timeout: source.timeout,
+            ...canceller.getRequestOptions(),
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                ...source.headers
+            }
+        });
+        
+        // 超过timeout没有收到新数据时中止下载
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                response.data.destroy(new Error(`Source ${source.name} stalled for ${source.timeout}ms`));
+                canceller.abort();
+            }, source.timeout);
+        };
+        response.data.on('data', resetIdleTimer);
+        resetIdleTimer();
+        
+        let parsed;
         try {
-            this.logger.info('Refreshing channels from original server...');
+            parsed = await this.parseM3UStream(StreamDecoder.decode(response.data));
+        } finally {
+            clearTimeout(idleTimer);
+        }
+        
+        // 为该源的分类加上前缀，并记录条目来源
+        const entries = parsed.channels.map(entry => ({
+            ...entry,
+            category: source.categoryPrefix && entry.category ? `${source.categoryPrefix}${entry.category}` : entry.category,
+            source: source.name
+        }));
+        
+        return { header: parsed.header, entries };
+    }
+    
+    getPlaylistHeader() {
+        return this.playlistHeader;
+    }
+    
+    // 合并各源 #EXTM3U 头部属性（按源优先级），节目单地址由代理自己提供，不透传
+    buildPlaylistHeader() {
+        const header = {};
+        for (const source of this.getSources().reverse()) {
+            const state = this.sourceEntries.get(source.name);
+            Object.assign(header, state?.header || {});
+        }
+        
+        delete header['x-tvg-url'];
+        delete header['url-tvg'];
+        return header;
+    }
+    
+    // 按源优先级合并条目：同一tvg-id或规范化名称只保留优先级最高的源，
+    // 其他源的地址按优先级追加到urls中作为故障切换的备用地址
+    mergeSourceEntries(sources) {
+        const merged = [];
+        const seen = new Map();
+        let duplicates = 0;
+        
+        for (const source of sources) {
+            const state = this.sourceEntries.get(source.name);
+            if (!state) continue;
             
-            const response = await axios.get(
-                `${this.config.originalServer.url}${this.config.originalServer.m3uPath}`,
-                {
-                    timeout: this.config.originalServer.timeout || 10000,
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            const keysFromSource = new Map();
+            for (const entry of state.entries) {
+                const keys = this.getDedupKeys(entry);
+                const existing = keys.map(key => seen.get(key)).find(Boolean);
+                if (existing) {
+                    if (!existing.urls.includes(entry.url)) {
+                        existing.urls.push(entry.url);
                     }
+                    duplicates++;
+                    continue;
                 }
-            );
+                
+                const item = { ...entry, source: source.name, urls: [entry.url] };
+                keys.forEach(key => {
+                    if (!keysFromSource.has(key)) {
+                        keysFromSource.set(key, item);
+                    }
+                });
+                merged.push(item);
+            }
             
-            const channelData = this.parseM3UContent(response.data);
-            this.channels = channelData.channels;
-            this.categories = channelData.categories;
-            this.lastRefresh = Date.now();
+            keysFromSource.forEach((item, key) => seen.set(key, item));
+        }
+        
+        if (duplicates > 0) {
+            this.logger.info(`Merged ${sources.length} sources, ${duplicates} duplicate entries kept as fallback URLs`);
+        }
+        
+        return merged;
+    }
+    
+    getDedupKeys(entry) {
+        const keys = [];
+        if (entry.tvgId) {
+            keys.push(`id:${entry.tvgId.toLowerCase()}`);
+        }
+        const name = this.normalizeChannelName(entry.tvgName || entry.name);
+        if (name) {
+            keys.push(`name:${name}`);
+        }
+        return keys;
+    }
+    
+    normalizeChannelName(name) {
+        return (name || '').toLowerCase().replace(/[\s\-_.|:]+/g, '');
+    }
+    
+    // force为false时只刷新已到刷新间隔的源。
+    // 新目录先在旁边构建并校验，通过后才替换当前目录，返回 { success, message, record }
+    async refreshChannels(options = {}) {
+        const { force = true, trigger = 'manual' } = options;
+        const startTime = Date.now();
+        
+        try {
+            const sources = this.getSources();
+            if (sources.length === 0) {
+                this.logger.warn('No M3U sources configured, skipping channel refresh');
+                if (this.channels.length === 0) {
+                    this.createSampleChannels();
+                }
+                return { success: false, message: 'No M3U sources configured' };
+            }
+            
+            const now = Date.now();
+            const dueSources = sources.filter(source => {
+                const state = this.sourceEntries.get(source.name);
+                return force || !state || now - state.timestamp >= source.refreshInterval;
+            });
+            
+            if (dueSources.length === 0) {
+                return { success: true, message: 'No sources due for refresh' };
+            }
+            
+            this.logger.info(`Refreshing channels from ${dueSources.length}/${sources.length} sources...`);
+            
+            // 在副本上更新各源条目，校验失败时不影响当前数据
+            const nextSourceEntries = new Map(this.sourceEntries);
+            let updated = 0;
+            for (const source of dueSources) {
+                try {
+                    const { header, entries } = await this.fetchSource(source);
+                    if (entries.length === 0) {
+                        throw new Error('no entries parsed (empty or non-M3U response)');
+                    }
+                    nextSourceEntries.set(source.name, { timestamp: Date.now(), header, entries });
+                    updated++;
+                    this.logger.info(`Source ${source.name}: ${entries.length} entries`);
+                } catch (error) {
+                    // 单个源失败时保留该源上一次成功获取的条目
+                    const state = nextSourceEntries.get(source.name);
+                    this.logger.error(`Error refreshing source ${source.name}: ${error.message}${state ? `, keeping ${state.entries.length} cached entries` : ''}`);
+                }
+            }
+            
+            // 移除已从配置中删除的源
+            const activeNames = new Set(sources.map(source => source.name));
+            for (const name of Array.from(nextSourceEntries.keys())) {
+                if (!activeNames.has(name)) {
+                    nextSourceEntries.delete(name);
+                }
+            }
+            
+            if (updated === 0) {
+                this.logger.warn('All due M3U sources failed, keeping previous channel list');
+                if (this.channels.length === 0) {
+                    this.createSampleChannels();
+                }
+                return this.recordRefresh({ trigger, startTime, success: false, message: 'All due M3U sources failed' });
+            }
             
-            // 应用频道过滤
-            if (this.config.features.filterChannels?.enabled) {
-                this.applyChannelFilters();
+            const idCheckpoint = this.idManager.createCheckpoint();
+            const catalogue = this.buildCatalogue(sources, nextSourceEntries);
+            
+            const validation = this.validateCatalogue(catalogue);
+            if (!validation.valid) {
+                this.idManager.restoreCheckpoint(idCheckpoint);
+                this.lastRefreshError = { timestamp: Date.now(), errors: validation.errors };
+                this.logger.error(`Refreshed catalogue rejected, keeping previous channel list: ${validation.errors.join('; ')}`);
+                if (this.channels.length === 0) {
+                    this.createSampleChannels();
+                }
+                return this.recordRefresh({
+                    trigger,
+                    startTime,
+                    success: false,
+                    message: `Validation failed: ${validation.errors.join('; ')}`,
+                    sources: { due: dueSources.length, updated },
+                    rejectedCount: catalogue.channels.length
+                });
             }
             
-            // 缓存频道数据
+            const previous = {
+                channels: this.hasRealCatalogue() ? this.channels : [],
+                vod: this.vodStreams.length,
+                series: this.series.length
+            };
+            
+            // 通过校验后才保存新分配的ID（applyCatalogue中写入）
+            this.sourceEntries = nextSourceEntries;
+            this.applyCatalogue(catalogue);
+            this.lastRefreshError = null;
+            
+            // 保存快照和缓存；快照包含各源条目，回滚后按源刷新不会重新合并被回滚的条目
+            this.currentSnapshotId = await this.snapshotManager.saveSnapshot({
+                ...catalogue,
+                sourceEntries: Object.fromEntries(this.sourceEntries)
+            });
             if (this.config.features.cacheChannels) {
-                this.saveChannelsToCache();
+                await this.saveChannelsToCache();
             }
             
-            this.logger.success(`Successfully loaded ${this.channels.length} channels from ${this.categories.length} categories`);
+            this.logger.success(`Successfully loaded ${this.channels.length} channels from ${this.categories.length} categories, ${this.vodStreams.length} VOD entries, ${this.series.length} series`);
+            
+            // 后台下载新目录中的台标，不阻塞刷新
+            this.logoManager.syncLogos(this.channels).catch(error => {
+                this.logger.error('Logo sync failed:', error);
+            });
+            
+            return this.recordRefresh({
+                trigger,
+                startTime,
+                success: true,
+                message: `Loaded ${this.channels.length} channels`,
+                snapshot: this.currentSnapshotId,
+                sources: { due: dueSources.length, updated },
+                channelsBefore: previous.channels.length,
+                vod: { before: previous.vod, after: this.vodStreams.length },
+                series: { before: previous.series, after: this.series.length },
+                diff: this.refreshHistory.diffChannels(previous.channels, this.channels)
+            });
             
         } catch (error) {
             this.logger.error('Error refreshing channels:', error);
@@ -104,80 +391,509 @@ class ChannelManager {
             if (this.channels.length === 0) {
                 this.createSampleChannels();
             }
+            return this.recordRefresh({ trigger, startTime, success: false, message: error.message });
         }
     }
     
-    parseM3UContent(content) {
-        const lines = content.split('\n');
-        const channels = [];
-        const categories = new Set();
+    // 将刷新结果写入刷新历史
+    recordRefresh({ trigger, startTime, success, message, ...details }) {
+        const record = this.refreshHistory.record({
+            timestamp: startTime,
+            duration: Date.now() - startTime,
+            trigger,
+            success,
+            message,
+            channels: this.channels.length,
+            ...details
+        });
+        
+        if (record.summary) {
+            const { added, removed, renamed, urlChanged, categoryChanged } = record.summary;
+            this.logger.info(`Refresh diff: +${added} -${removed}, ${renamed} renamed, ${urlChanged} URL changes, ${categoryChanged} category moves`);
+        }
         
-        let currentChannel = null;
+        return { success, message, record };
+    }
+    
+    // 根据各源条目构建完整目录（不修改当前状态）
+    buildCatalogue(sources, sourceEntries) {
+        const previousEntries = this.sourceEntries;
+        this.sourceEntries = sourceEntries;
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            if (line.startsWith('#EXTINF:')) {
-                currentChannel = this.parseExtinfLine(line);
-                if (currentChannel.category) {
-                    categories.add(currentChannel.category);
-                }
-            } else if (line && !line.startsWith('#') && currentChannel) {
-                currentChannel.url = line;
-                currentChannel.id = channels.length + 1;
-                channels.push(currentChannel);
-                currentChannel = null;
+        let merged;
+        let playlistHeader;
+        try {
+            merged = this.mergeSourceEntries(sources);
+            playlistHeader = this.buildPlaylistHeader();
+        } finally {
+            this.sourceEntries = previousEntries;
+        }
+        
+        const catalogue = this.splitCatalogue(merged);
+        
+        // 在分配ID之后执行频道规则，修改规则不会改变频道ID
+        catalogue.channels = this.channelRules.apply(catalogue.channels).channels;
+        
+        // 应用频道过滤
+        if (this.config.features.filterChannels?.enabled) {
+            catalogue.channels = this.applyChannelFilters(catalogue.channels);
+        }
+        
+        // 规则可能移动分类，按处理后的频道重新生成分类列表
+        catalogue.categories = Array.from(new Set(catalogue.channels.map(channel => channel.category).filter(Boolean))).sort();
+        catalogue.categoryIds = this.buildCategoryIds(catalogue);
+        
+        return {
+            ...catalogue,
+            playlistHeader,
+            timestamp: Date.now()
+        };
+    }
+    
+    getValidationConfig() {
+        return {
+            minChannels: 1,
+            maxDropPercent: 50,
+            requiredCategories: [],
+            ...(this.config.catalogue?.validation || {})
+        };
+    }
+    
+    // 按配置的规则检查新目录，防止上游返回错误页面或截断的列表时丢失频道
+    validateCatalogue(catalogue) {
+        const rules = this.getValidationConfig();
+        const errors = [];
+        const count = catalogue.channels.length;
+        
+        if (count < rules.minChannels) {
+            errors.push(`only ${count} channels (minimum ${rules.minChannels})`);
+        }
+        
+        const previousCount = this.hasRealCatalogue() ? this.channels.length : 0;
+        if (previousCount > 0 && rules.maxDropPercent < 100) {
+            const dropPercent = (previousCount - count) / previousCount * 100;
+            if (dropPercent > rules.maxDropPercent) {
+                errors.push(`channel count dropped ${dropPercent.toFixed(1)}% (${previousCount} -> ${count}, maximum ${rules.maxDropPercent}%)`);
             }
         }
         
+        const categories = new Set(catalogue.categories);
+        const missing = (rules.requiredCategories || []).filter(category => !categories.has(category));
+        if (missing.length > 0) {
+            errors.push(`missing required categories: ${missing.join(', ')}`);
+        }
+        
+        return { valid: errors.length === 0, errors };
+    }
+    
+    // 示例频道不作为比较基准
+    hasRealCatalogue() {
+        return this.channels.length > 0 && !this.usingSampleChannels;
+    }
+    
+    applyCatalogue(catalogue) {
+        this.catalogueChannels = catalogue.channels;
+        this.catalogueCategories = catalogue.categories;
+        this.categoryIds = catalogue.categoryIds || this.buildCategoryIds(catalogue);
+        this.idManager.saveMappings();
+        this.applyChannelOrder();
+        this.vodStreams = catalogue.vodStreams || [];
+        this.vodCategories = catalogue.vodCategories || [];
+        this.series = catalogue.series || [];
+        this.seriesCategories = catalogue.seriesCategories || [];
+        this.playlistHeader = catalogue.playlistHeader || {};
+        this.indexEpisodes();
+        this.lastRefresh = Date.now();
+        this.usingSampleChannels = false;
+    }
+    
+    // 为直播、点播、剧集分类分配持久化的分类ID（按分类名映射，新增分类不会影响已有分类的ID）
+    buildCategoryIds(catalogue) {
+        const assign = (kind, categories) => Object.fromEntries(
+            (categories || []).map(category => [category, this.idManager.getId(`${kind}-category`, category)])
+        );
+        
+        const categoryIds = {
+            live: assign('live', catalogue.categories),
+            vod: assign('vod', catalogue.vodCategories),
+            series: assign('series', catalogue.seriesCategories)
+        };
+        return categoryIds;
+    }
+    
+    // kind为 live、vod 或 series
+    getCategoryId(kind, category) {
+        if (!category) {
+            return null;
+        }
+        
+        const id = this.categoryIds[kind]?.[category];
+        if (id !== undefined) {
+            return id;
+        }
+        
+        // 示例频道等未经目录构建的分类
+        this.categoryIds[kind] = { ...this.categoryIds[kind], [category]: this.idManager.getId(`${kind}-category`, category) };
+        this.idManager.saveMappings();
+        return this.categoryIds[kind][category];
+    }
+    
+    getCategoryById(kind, categoryId) {
+        const id = parseInt(categoryId);
+        const entry = Object.entries(this.categoryIds[kind] || {}).find(([, value]) => value === id);
+        return entry ? entry[0] : null;
+    }
+    
+    // 按管理员设置的顺序排列分类和频道（保留未排序的目录，修改顺序后可重新排列）
+    applyChannelOrder() {
+        // 示例频道不参与排序
+        if (!this.catalogueChannels) {
+            return;
+        }
+        this.channels = this.orderManager.sortChannels(this.catalogueChannels);
+        this.categories = this.orderManager.sortCategories(this.catalogueCategories);
+    }
+    
+    getChannelOrder() {
+        return this.orderManager.getSettings();
+    }
+    
+    setCategoryOrder(categories) {
+        this.orderManager.setCategoryOrder(categories);
+        this.applyChannelOrder();
+    }
+    
+    setChannelOrder(category, channelIds) {
+        this.orderManager.setChannelOrder(category, channelIds);
+        this.applyChannelOrder();
+    }
+    
+    setChannelNumbers(numbers) {
+        this.orderManager.setChannelNumbers(numbers);
+    }
+    
+    // 频道号：管理员设置的LCN优先，其次为上游的tvg-chno，最后使用fallback（默认为频道ID）；
+    // 后两者跳过已分配给其他频道的LCN，都冲突时排到所有LCN之后，避免播放器中出现重复的频道号
+    getChannelNumber(channel, fallback = channel.id) {
+        const assigned = this.orderManager.getNumber(channel.id);
+        if (assigned !== null) {
+            return assigned;
+        }
+        
+        const upstream = parseInt(channel.number);
+        if (upstream > 0 && !this.orderManager.isNumberTaken(upstream, channel.id)) {
+            return upstream;
+        }
+        if (!fallback || !this.orderManager.isNumberTaken(fallback, channel.id)) {
+            return fallback;
+        }
+        return this.orderManager.maxAssignedNumber + fallback;
+    }
+    
+    // 用当前各源条目试运行频道规则（未指定时使用配置中的规则），不修改当前目录
+    testChannelRules(rules) {
+        const { channels } = this.splitCatalogue(this.mergeSourceEntries(this.getSources()));
+        const result = this.channelRules.apply(channels, rules);
+        const dropped = result.hits.filter(hit => hit.action === 'drop').reduce((total, hit) => total + hit.channels.length, 0);
+        
         return {
-            channels,
+            total: channels.length,
+            remaining: result.channels.length,
+            dropped,
+            rules: result.hits.map(hit => ({ ...hit, count: hit.channels.length }))
+        };
+    }
+    
+    getRefreshHistory(limit) {
+        return this.refreshHistory.getHistory(limit);
+    }
+    
+    getRefreshRecord(id) {
+        return this.refreshHistory.getRecord(id);
+    }
+    
+    getSnapshots() {
+        return this.snapshotManager.listSnapshots().map(snapshot => ({
+            ...snapshot,
+            current: snapshot.id === this.currentSnapshotId
+        }));
+    }
+    
+    // 回滚到指定快照，未指定时回滚到当前目录之前的一份快照
+    async rollbackCatalogue(snapshotId = null) {
+        let targetId = snapshotId;
+        if (!targetId) {
+            const older = this.snapshotManager.listSnapshots().filter(snapshot => snapshot.id !== this.currentSnapshotId);
+            const currentTime = parseInt(this.currentSnapshotId) || Infinity;
+            const previous = older.find(snapshot => snapshot.createdAt < currentTime);
+            if (!previous) {
+                throw new Error('No previous snapshot available');
+            }
+            targetId = previous.id;
+        }
+        
+        const catalogue = this.snapshotManager.loadSnapshot(targetId);
+        if (!catalogue) {
+            throw new Error('Snapshot not found');
+        }
+        
+        this.applyCatalogue(catalogue);
+        this.currentSnapshotId = String(targetId);
+        
+        if (catalogue.sourceEntries) {
+            this.sourceEntries = new Map(Object.entries(catalogue.sourceEntries));
+        } else {
+            this.logger.warn(`Snapshot ${targetId} has no source entries, the next source refresh will merge the current ones`);
+        }
+        
+        if (this.config.features.cacheChannels) {
+            await this.saveChannelsToCache();
+        }
+        
+        this.logger.warn(`Catalogue rolled back to snapshot ${targetId} (${this.channels.length} channels)`);
+        return { snapshot: String(targetId), channels: this.channels.length };
+    }
+    
+    getSourceStatus() {
+        return this.getSources().map(source => {
+            const state = this.sourceEntries.get(source.name);
+            return {
+                name: source.name,
+                priority: source.priority,
+                entries: state ? state.entries.length : 0,
+                lastFetch: state ? state.timestamp : null
+            };
+        });
+    }
+    
+    parseM3UContent(content) {
+        return this.buildParseResult(this.m3uParser.parse(content));
+    }
+    
+    async parseM3UStream(stream) {
+        return this.buildParseResult(await this.m3uParser.parseStream(stream));
+    }
+    
+    buildParseResult({ header, entries }) {
+        const categories = new Set(entries.map(entry => entry.category).filter(Boolean));
+        
+        return {
+            header,
+            channels: entries,
             categories: Array.from(categories).sort()
         };
     }
     
     parseExtinfLine(line) {
-        const channel = {
-            name: '',
-            logo: '',
-            category: '',
-            tvgId: '',
-            tvgName: ''
+        return this.m3uParser.parseExtinf(line);
+    }
+    
+    getVodConfig() {
+        return {
+            enabled: true,
+            groupKeywords: ['VOD', '点播'],
+            extensions: ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.m4v', '.webm'],
+            urlPatterns: ['/movie/'],
+            ...(this.config.features?.vod || {})
         };
+    }
+    
+    // 判断条目是否为点播内容：按分组关键词、URL扩展名或自定义URL规则
+    isVodEntry(entry) {
+        const vodConfig = this.getVodConfig();
         
-        // 提取频道名称
-        const nameMatch = line.match(/,(.+)$/);
-        if (nameMatch) {
-            channel.name = nameMatch[1].trim();
+        const category = (entry.category || '').toLowerCase();
+        if (vodConfig.groupKeywords.some(keyword => category.includes(keyword.toLowerCase()))) {
+            return true;
         }
         
-        // 提取属性
-        const tvgIdMatch = line.match(/tvg-id="([^"]*)"/);
-        if (tvgIdMatch) {
-            channel.tvgId = tvgIdMatch[1];
+        const extension = this.getUrlExtension(entry.url);
+        if (extension && vodConfig.extensions.map(ext => ext.toLowerCase()).includes(`.${extension}`)) {
+            return true;
         }
         
-        const tvgNameMatch = line.match(/tvg-name="([^"]*)"/);
-        if (tvgNameMatch) {
-            channel.tvgName = tvgNameMatch[1];
+        return vodConfig.urlPatterns.some(pattern => {
+            try {
+                return new RegExp(pattern, 'i').test(entry.url || '');
+            } catch (error) {
+                this.logger.warn(`Invalid VOD url pattern: ${pattern}`);
+                return false;
+            }
+        });
+    }
+    
+    getUrlExtension(url) {
+        try {
+            const pathname = new URL(url).pathname;
+            const match = pathname.match(/\.([a-z0-9]{2,5})$/i);
+            return match ? match[1].toLowerCase() : '';
+        } catch (_) {
+            return '';
+        }
+    }
+    
+    getSeriesConfig() {
+        return {
+            enabled: true,
+            episodePattern: 'S(\\d{1,2})\\s*E(\\d{1,3})',
+            ...(this.config.features?.series || {})
+        };
+    }
+    
+    // 从名称中解析季/集信息，例如 "Friends S01E02" -> { seriesName: 'Friends', season: 1, episode: 2 }
+    parseEpisodeName(name) {
+        const seriesConfig = this.getSeriesConfig();
+        let pattern;
+        
+        try {
+            pattern = new RegExp(seriesConfig.episodePattern, 'i');
+        } catch (error) {
+            this.logger.warn(`Invalid series episode pattern: ${seriesConfig.episodePattern}`);
+            return null;
         }
         
-        const logoMatch = line.match(/tvg-logo="([^"]*)"/);
-        if (logoMatch) {
-            channel.logo = logoMatch[1];
+        const match = (name || '').match(pattern);
+        if (!match || match.length < 3) {
+            return null;
         }
         
-        const categoryMatch = line.match(/group-title="([^"]*)"/);
-        if (categoryMatch) {
-            channel.category = categoryMatch[1];
+        const seriesName = name.slice(0, match.index).replace(/[\s\-_.:|]+$/, '').trim();
+        if (!seriesName) {
+            return null;
         }
         
-        return channel;
+        return {
+            seriesName,
+            season: parseInt(match[1]),
+            episode: parseInt(match[2]),
+            title: name.slice(match.index + match[0].length).replace(/^[\s\-_.:|]+/, '').trim()
+        };
     }
     
-    applyChannelFilters() {
+    // 将剧集条目按 剧名 -> 季 -> 集 分组
+    groupSeriesEntries(episodeEntries) {
+        const seriesMap = new Map();
+        const allocateSeriesId = this.idManager.createAllocator('series');
+        const allocateEpisodeId = this.idManager.createAllocator('episode');
+        
+        for (const { entry, parsed } of episodeEntries) {
+            const category = entry.category || 'Series';
+            const key = `${category}\u0000${parsed.seriesName.toLowerCase()}`;
+            const seriesKey = `series:${this.normalizeChannelName(parsed.seriesName)}|${category}`;
+            
+            if (!seriesMap.has(key)) {
+                seriesMap.set(key, {
+                    id: allocateSeriesId(seriesKey),
+                    name: parsed.seriesName,
+                    category,
+                    logo: entry.logo || '',
+                    seasons: {}
+                });
+            }
+            
+            const series = seriesMap.get(key);
+            const seasonKey = String(parsed.season);
+            if (!series.seasons[seasonKey]) {
+                series.seasons[seasonKey] = [];
+            }
+            
+            series.seasons[seasonKey].push({
+                id: allocateEpisodeId(`${seriesKey}|S${parsed.season}E${parsed.episode}`),
+                season: parsed.season,
+                episode: parsed.episode,
+                title: parsed.title || entry.name,
+                name: entry.name,
+                logo: entry.logo || '',
+                url: entry.url,
+                containerExtension: this.getUrlExtension(entry.url) || 'mp4'
+            });
+        }
+        
+        const series = Array.from(seriesMap.values());
+        for (const item of series) {
+            for (const episodes of Object.values(item.seasons)) {
+                episodes.sort((a, b) => a.episode - b.episode);
+            }
+        }
+        
+        return series;
+    }
+    
+    // 条目的稳定标识：有tvg-id时只用tvg-id，上游改名或调整分类不会改变频道ID；
+    // 否则用分类加规范化名称，不同分类中的同名频道各自有固定的ID，不依赖上游顺序（不使用可能带有令牌的URL）
+    getStableKey(entry) {
+        if (entry.tvgId) {
+            return `tvg:${entry.tvgId.toLowerCase()}`;
+        }
+        const name = this.normalizeChannelName(entry.tvgName || entry.name);
+        return name ? `name:${entry.category || ''}|${name}` : `url:${entry.url}`;
+    }
+    
+    indexEpisodes() {
+        this.episodeIndex = new Map();
+        
+        for (const series of this.series) {
+            for (const episodes of Object.values(series.seasons)) {
+                for (const episode of episodes) {
+                    this.episodeIndex.set(episode.id, { ...episode, seriesId: series.id });
+                }
+            }
+        }
+    }
+    
+    // 将解析结果拆分为直播频道、点播目录和剧集目录
+    splitCatalogue(entries) {
+        const channels = [];
+        const categories = new Set();
+        const vodStreams = [];
+        const vodCategories = new Set();
+        const episodeEntries = [];
+        const vodEnabled = this.getVodConfig().enabled;
+        const seriesEnabled = this.getSeriesConfig().enabled;
+        const allocateLiveId = this.idManager.createAllocator('live');
+        const allocateVodId = this.idManager.createAllocator('vod');
+        
+        for (const entry of entries) {
+            // 剧集优先于点播识别，剧集文件通常也带有点播扩展名
+            const parsedEpisode = seriesEnabled ? this.parseEpisodeName(entry.name) : null;
+            if (parsedEpisode) {
+                episodeEntries.push({ entry, parsed: parsedEpisode });
+                continue;
+            }
+            
+            if (vodEnabled && this.isVodEntry(entry)) {
+                const vod = {
+                    ...entry,
+                    id: allocateVodId(this.getStableKey(entry)),
+                    category: entry.category || 'Movies',
+                    containerExtension: this.getUrlExtension(entry.url) || 'mp4'
+                };
+                vodStreams.push(vod);
+                vodCategories.add(vod.category);
+                continue;
+            }
+            
+            channels.push({ ...entry, id: allocateLiveId(this.getStableKey(entry)) });
+            if (entry.category) {
+                categories.add(entry.category);
+            }
+        }
+        
+        const series = this.groupSeriesEntries(episodeEntries);
+        
+        return {
+            channels,
+            categories: Array.from(categories).sort(),
+            vodStreams,
+            vodCategories: Array.from(vodCategories).sort(),
+            series,
+            seriesCategories: Array.from(new Set(series.map(item => item.category))).sort()
+        };
+    }
+    
+    applyChannelFilters(channels) {
         const filters = this.config.features.filterChannels;
-        let filteredChannels = [...this.channels];
+        let filteredChannels = [...channels];
         
         // 应用黑名单过滤
         if (filters.blacklistKeywords?.length > 0) {
@@ -197,21 +913,51 @@ class ChannelManager {
             });
         }
         
-        const originalCount = this.channels.length;
-        this.channels = filteredChannels;
-        
-        this.logger.info(`Channel filtering: ${originalCount} -> ${this.channels.length} channels`);
+        this.logger.info(`Channel filtering: ${channels.length} -> ${filteredChannels.length} channels`);
+        return filteredChannels;
+    }
+    
+    loadSourceEntriesFromCache() {
+        try {
+            const cacheData = this.config.features.cacheChannels ? this.storage.get('channels') : null;
+            if (cacheData) {
+                this.sourceEntries = new Map(Object.entries(cacheData.sourceEntries || {}));
+                
+                if (Array.isArray(cacheData.channels) && cacheData.channels.length > 0) {
+                    this.applyCatalogue(cacheData);
+                    this.lastRefresh = cacheData.timestamp || 0;
+                    this.currentSnapshotId = cacheData.snapshotId || null;
+                    this.logger.info(`Loaded ${this.channels.length} cached channels before refresh`);
+                }
+            }
+        } catch (error) {
+            this.logger.error('Error loading source cache:', error);
+        }
     }
     
-    saveChannelsToCache() {
+    async saveChannelsToCache() {
+        // 示例频道只是占位，不写入缓存
+        if (this.usingSampleChannels) {
+            return;
+        }
+        
         try {
             const cacheData = {
                 channels: this.channels,
                 categories: this.categories,
+                vodStreams: this.vodStreams,
+                vodCategories: this.vodCategories,
+                series: this.series,
+                seriesCategories: this.seriesCategories,
+                sourceEntries: Object.fromEntries(this.sourceEntries),
+                playlistHeader: this.playlistHeader,
+                categoryIds: this.categoryIds,
+                snapshotId: this.currentSnapshotId,
                 timestamp: this.lastRefresh
             };
             
-            fs.writeFileSync(this.channelsFile, JSON.stringify(cacheData, null, 2));
+            // 逐条写入，避免为超大频道列表生成完整的JSON字符串
+            await this.storage.setLarge('channels', cacheData);
             this.logger.debug('Channels cached successfully');
         } catch (error) {
             this.logger.error('Error saving channels to cache:', error);
@@ -244,6 +990,7 @@ class ChannelManager {
         
         this.categories = ['General'];
         this.lastRefresh = Date.now();
+        this.usingSampleChannels = true;
     }
     
     getChannels(categoryFilter = null) {
@@ -269,27 +1016,130 @@ class ChannelManager {
         return this.categories.length;
     }
     
-    async generateXMLTV() {
-        let xmltv = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xmltv += '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n';
-        xmltv += '<tv generator-info-name="Xtream Codes Proxy">\n';
+    getVodStreams(categoryFilter = null) {
+        if (categoryFilter) {
+            return this.vodStreams.filter(vod => vod.category === categoryFilter);
+        }
+        return this.vodStreams;
+    }
+    
+    getVodById(id) {
+        return this.vodStreams.find(vod => vod.id === parseInt(id));
+    }
+    
+    getVodCategories() {
+        return this.vodCategories;
+    }
+    
+    getVodCount() {
+        return this.vodStreams.length;
+    }
+    
+    getSeries(categoryFilter = null) {
+        if (categoryFilter) {
+            return this.series.filter(series => series.category === categoryFilter);
+        }
+        return this.series;
+    }
+    
+    getSeriesById(id) {
+        return this.series.find(series => series.id === parseInt(id));
+    }
+    
+    getSeriesCategories() {
+        return this.seriesCategories;
+    }
+    
+    getEpisodeById(id) {
+        return this.episodeIndex.get(parseInt(id)) || null;
+    }
+    
+    getSeriesCount() {
+        return this.series.length;
+    }
+    
+    setEPGManager(epgManager) {
+        this.epgManager = epgManager;
+    }
+    
+    // 获取频道的节目列表，from/to为毫秒时间戳
+    getChannelProgrammes(channel, from = 0, to = Infinity) {
+        if (!this.epgManager || !channel) {
+            return [];
+        }
+        return this.epgManager.getProgrammesForChannel(channel, from, to);
+    }
+    
+    getChannelEpgId(channel) {
+        const xmltvId = this.epgManager ? this.epgManager.resolveXmltvId(channel) : null;
+        return xmltvId || channel.tvgId || String(channel.id);
+    }
+    
+    // 逐段生成XMLTV文本（每个频道一段），由调用方以流的方式写出，不生成完整的节目单字符串
+    *generateXMLTV(channels = this.channels, serverUrl = null) {
+        yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+              '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n' +
+              '<tv generator-info-name="Xtream Codes Proxy">\n';
         
         // 添加频道信息
-        this.channels.forEach(channel => {
-            xmltv += `  <channel id="${channel.tvgId || channel.id}">\n`;
+        for (const channel of channels) {
+            let xmltv = `  <channel id="${this.escapeXml(channel.tvgId || channel.id)}">\n`;
             xmltv += `    <display-name>${this.escapeXml(channel.name)}</display-name>\n`;
-            if (channel.logo) {
-                xmltv += `    <icon src="${this.escapeXml(channel.logo)}" />\n`;
+            // 有频道号时按惯例额外输出一个数字显示名，供播放器显示频道号
+            const number = this.getChannelNumber(channel, null);
+            if (number) {
+                xmltv += `    <display-name>${number}</display-name>\n`;
+            }
+            const logo = this.getLogoUrl(channel, serverUrl);
+            if (logo) {
+                xmltv += `    <icon src="${this.escapeXml(logo)}" />\n`;
             }
             xmltv += '  </channel>\n';
-        });
+            yield xmltv;
+        }
         
-        xmltv += '</tv>\n';
-        return xmltv;
+        // 添加节目信息
+        if (this.epgManager) {
+            const epgConfig = this.epgManager.getEPGConfig();
+            const from = Date.now() - epgConfig.pastHours * 3600000;
+            const to = Date.now() + epgConfig.days * 86400000;
+            
+            for (const channel of channels) {
+                const channelId = this.escapeXml(channel.tvgId || channel.id);
+                let xmltv = '';
+                
+                for (const programme of this.epgManager.getProgrammesForChannel(channel, from, to)) {
+                    xmltv += `  <programme start="${this.epgManager.formatXmltvTime(programme.start)}" stop="${this.epgManager.formatXmltvTime(programme.stop)}" channel="${channelId}">\n`;
+                    xmltv += `    <title>${this.escapeXml(programme.title)}</title>\n`;
+                    if (programme.subTitle) {
+                        xmltv += `    <sub-title>${this.escapeXml(programme.subTitle)}</sub-title>\n`;
+                    }
+                    if (programme.desc) {
+                        xmltv += `    <desc>${this.escapeXml(programme.desc)}</desc>\n`;
+                    }
+                    if (programme.category) {
+                        xmltv += `    <category>${this.escapeXml(programme.category)}</category>\n`;
+                    }
+                    if (programme.episodeNum) {
+                        xmltv += `    <episode-num>${this.escapeXml(programme.episodeNum)}</episode-num>\n`;
+                    }
+                    if (programme.icon) {
+                        xmltv += `    <icon src="${this.escapeXml(programme.icon)}" />\n`;
+                    }
+                    xmltv += '  </programme>\n';
+                }
+                
+                if (xmltv) {
+                    yield xmltv;
+                }
+            }
+        }
+        
+        yield '</tv>\n';
     }
     
     escapeXml(text) {
-        return text
+        return String(text ?? '')
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
@@ -297,14 +1147,95 @@ class ChannelManager {
             .replace(/'/g, '&apos;');
     }
     
-    getChannelsForUser(username) {
-        // 这里可以根据用户权限返回不同的频道列表
-        // 目前返回所有频道
-        return this.channels;
+    // 获取频道的回看信息（类型、模板、可回看天数），不支持回看时返回null
+    getCatchupInfo(channel) {
+        if (!channel || this.config.catchup?.enabled === false) {
+            return null;
+        }
+        return this.catchupBuilder.getCatchupInfo(channel, this.playlistHeader);
+    }
+    
+    setPackageManager(packageManager) {
+        this.packageManager = packageManager;
+    }
+    
+    // 根据用户的频道套餐返回可见频道，未分配套餐时返回所有频道
+    getChannelsForUser(username, packageNames = null) {
+        const channels = this.getVisibleChannels();
+        if (!this.packageManager) {
+            return channels;
+        }
+        return this.packageManager.filterChannels(channels, packageNames);
+    }
+    
+    // 输出给客户端的台标地址：启用台标缓存时指向 /logos/:id，否则使用上游地址
+    getLogoUrl(channel, serverUrl) {
+        if (!serverUrl || !this.logoManager.isEnabled()) {
+            return channel.logo || '';
+        }
+        if (!this.logoManager.hasLogo(channel)) {
+            return '';
+        }
+        return `${serverUrl}/logos/${channel.id}?v=${this.logoManager.getLogoVersion(channel)}`;
+    }
+    
+    // 去掉健康检测中持续不可用、按配置需要隐藏的频道
+    getVisibleChannels() {
+        if (!this.healthManager.getHealthConfig().hideAfter) {
+            return this.channels;
+        }
+        return this.channels.filter(channel => !this.healthManager.isHidden(channel));
+    }
+    
+    getHealthCheckInterval() {
+        const { enabled, interval } = this.healthManager.getHealthConfig();
+        return enabled ? interval : 0;
+    }
+    
+    // 检测当前全部直播频道（示例频道不检测），隐藏的频道也继续检测以便恢复
+    async runHealthCheck() {
+        if (this.usingSampleChannels) {
+            return null;
+        }
+        return this.healthManager.checkChannels(this.channels);
+    }
+    
+    // status为 up、down 或 hidden 时只返回对应的频道
+    getHealthReport(status = null) {
+        const channels = this.channels
+            .map(channel => ({
+                id: channel.id,
+                name: channel.name,
+                category: channel.category,
+                hidden: this.healthManager.isHidden(channel),
+                ...(this.healthManager.getResult(channel.id) || { status: 'unknown' })
+            }))
+            .filter(channel => !status || (status === 'hidden' ? channel.hidden : channel.status === status));
+        
+        return {
+            ...this.healthManager.getSummary(),
+            hidden: this.channels.filter(channel => this.healthManager.isHidden(channel)).length,
+            channels
+        };
+    }
+    
+    isChannelAllowedForUser(channel, packageNames = null) {
+        if (!this.packageManager) {
+            return true;
+        }
+        return this.packageManager.isChannelAllowed(channel, packageNames);
+    }
+    
+    // 返回用户可见频道所属的分类（保持全局分类顺序）
+    getCategoriesForChannels(channels) {
+        const used = new Set(channels.map(channel => channel.category));
+        return this.categories.filter(category => used.has(category));
     }
     
     updateConfig(newConfig) {
         this.config = newConfig;
+        this.channelRules.config = newConfig;
+        this.channelRules.getConfigRules();
         this.logger.info('ChannelManager configuration updated');
     }
 
@@ -314,13 +1245,15 @@ class ChannelManager {
             lastRefresh: this.lastRefresh,
             channelCount: this.channels.length,
             categoryCount: this.categories.length,
+            vodCount: this.vodStreams.length,
+            seriesCount: this.series.length,
             autoRefresh: this.config.originalServer.enableAutoRefresh
         };
     }
     
     async gracefulShutdown() {
         if (this.config.features.cacheChannels) {
-            this.saveChannelsToCache();
+            await this.saveChannelsToCache();
         }
         this.logger.info('✅ ChannelManager shutdown completed');
     }
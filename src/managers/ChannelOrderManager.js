@@ -0,0 +1,173 @@
+// 管理员自定义的分类顺序、分类内频道顺序和频道号（LCN），频道均以稳定的频道ID引用
+class ChannelOrderManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        this.settings = {
+            categoryOrder: [],
+            channelOrder: {},
+            numbers: {}
+        };
+        // 频道号 -> 频道ID，用于判断上游频道号或频道ID是否与管理员设置的频道号冲突
+        this.assignedNumbers = new Map();
+        this.maxAssignedNumber = 0;
+        
+        this.loadSettings();
+    }
+    
+    loadSettings() {
+        try {
+            const data = this.storage.get('channel-order');
+            if (data) {
+                this.settings = { ...this.settings, ...data };
+            }
+            this.indexNumbers();
+        } catch (error) {
+            this.logger.error('Error loading channel order:', error);
+        }
+    }
+    
+    saveSettings() {
+        try {
+            this.storage.set('channel-order', this.settings);
+        } catch (error) {
+            this.logger.error('Error saving channel order:', error);
+        }
+    }
+    
+    getSettings() {
+        return this.settings;
+    }
+    
+    setCategoryOrder(categories) {
+        if (!Array.isArray(categories) || categories.some(category => typeof category !== 'string')) {
+            throw new Error('Category order must be an array of category names');
+        }
+        
+        this.settings.categoryOrder = Array.from(new Set(categories));
+        this.saveSettings();
+        this.logger.info(`Category order updated (${this.settings.categoryOrder.length} categories)`);
+    }
+    
+    // 设置分类内的频道顺序，空数组表示恢复上游顺序
+    setChannelOrder(category, channelIds) {
+        if (!Array.isArray(channelIds)) {
+            throw new Error('Channel order must be an array of channel IDs');
+        }
+        
+        const ids = Array.from(new Set(channelIds.map(id => parseInt(id))));
+        if (ids.some(id => isNaN(id))) {
+            throw new Error('Channel order must be an array of channel IDs');
+        }
+        
+        if (ids.length === 0) {
+            delete this.settings.channelOrder[category];
+        } else {
+            this.settings.channelOrder[category] = ids;
+        }
+        this.saveSettings();
+        this.logger.info(`Channel order for category ${category} updated (${ids.length} channels)`);
+    }
+    
+    // 批量设置频道号：{ 频道ID: 频道号 }，频道号为null时清除
+    setChannelNumbers(numbers) {
+        if (!numbers || typeof numbers !== 'object' || Array.isArray(numbers)) {
+            throw new Error('Channel numbers must be an object of channel ID to number');
+        }
+        
+        const next = { ...this.settings.numbers };
+        for (const [id, number] of Object.entries(numbers)) {
+            if (number === null || number === '') {
+                delete next[id];
+                continue;
+            }
+            
+            const value = parseInt(number);
+            if (!Number.isInteger(value) || value <= 0 || String(value) !== String(number).trim()) {
+                throw new Error(`Invalid channel number for channel ${id}: ${number}`);
+            }
+            next[id] = value;
+        }
+        
+        const seen = new Map();
+        for (const [id, number] of Object.entries(next)) {
+            if (seen.has(number)) {
+                throw new Error(`Channel number ${number} is assigned to both channel ${seen.get(number)} and channel ${id}`);
+            }
+            seen.set(number, id);
+        }
+        
+        this.settings.numbers = next;
+        this.indexNumbers();
+        this.saveSettings();
+        this.logger.info(`Channel numbers updated (${Object.keys(next).length} assigned)`);
+    }
+    
+    getNumber(channelId) {
+        return this.settings.numbers[channelId] ?? null;
+    }
+    
+    indexNumbers() {
+        this.assignedNumbers = new Map(Object.entries(this.settings.numbers).map(([id, number]) => [number, id]));
+        this.maxAssignedNumber = Math.max(0, ...this.assignedNumbers.keys());
+    }
+    
+    // 频道号是否已由管理员分配给其他频道
+    isNumberTaken(number, channelId) {
+        const owner = this.assignedNumbers.get(number);
+        return owner !== undefined && owner !== String(channelId);
+    }
+    
+    // 已配置的分类按配置顺序排在前面，其余保持原顺序
+    sortCategories(categories) {
+        const rank = new Map(this.settings.categoryOrder.map((category, index) => [category, index]));
+        return categories
+            .map((category, position) => ({ category, position }))
+            .sort((a, b) => (rank.get(a.category) ?? Infinity) - (rank.get(b.category) ?? Infinity) || a.position - b.position)
+            .map(item => item.category);
+    }
+    
+    // 先按分类顺序输出已配置分类的频道，未配置分类的频道保持上游的相对位置；
+    // 每个分类内已配置的频道按配置顺序排在前面
+    sortChannels(channels) {
+        const { categoryOrder, channelOrder } = this.settings;
+        if (categoryOrder.length === 0 && Object.keys(channelOrder).length === 0) {
+            return channels;
+        }
+        
+        const groups = new Map();
+        channels.forEach((channel, position) => {
+            if (!groups.has(channel.category)) {
+                groups.set(channel.category, []);
+            }
+            groups.get(channel.category).push({ channel, position });
+        });
+        
+        for (const [category, items] of groups) {
+            const rank = new Map((channelOrder[category] || []).map((id, index) => [id, index]));
+            items.sort((a, b) => (rank.get(a.channel.id) ?? Infinity) - (rank.get(b.channel.id) ?? Infinity) || a.position - b.position);
+        }
+        
+        const ordered = [];
+        for (const category of categoryOrder) {
+            for (const item of groups.get(category) || []) {
+                ordered.push(item.channel);
+            }
+        }
+        
+        const ranked = new Set(categoryOrder);
+        const cursors = new Map();
+        for (const channel of channels) {
+            if (ranked.has(channel.category)) continue;
+            const index = cursors.get(channel.category) || 0;
+            ordered.push(groups.get(channel.category)[index].channel);
+            cursors.set(channel.category, index + 1);
+        }
+        
+        return ordered;
+    }
+}
+
+module.exports = ChannelOrderManager;
@@ -0,0 +1,400 @@
+const axios = require('axios');
+const StreamDecoder = require('../utils/StreamDecoder');
+
+// 单个 <channel> 或 <programme> 元素的最大长度，超出时视为源格式错误，避免缓冲区无限增长
+const MAX_ELEMENT_LENGTH = 1024 * 1024;
+
+class EPGManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // xmltv频道ID -> 节目列表（按开始时间排序）
+        this.programmes = new Map();
+        // xmltv频道ID -> 显示名称列表
+        this.channelNames = new Map();
+        // 规范化名称 -> xmltv频道ID
+        this.nameIndex = new Map();
+        this.lastRefresh = 0;
+        this.isRefreshing = false;
+    }
+    
+    getEPGConfig() {
+        return {
+            sources: [],
+            refreshInterval: 21600000,
+            days: 3,
+            pastHours: 6,
+            timeout: 60000,
+            ...(this.config.epg || {})
+        };
+    }
+    
+    isEnabled() {
+        return this.config.features?.enableEPG !== false && this.getSources().length > 0;
+    }
+    
+    // 支持字符串或对象形式的源配置
+    getSources() {
+        return (this.getEPGConfig().sources || [])
+            .map(source => typeof source === 'string' ? { url: source } : source)
+            .filter(source => source && source.url && source.enabled !== false)
+            .map((source, index) => ({ name: `source-${index + 1}`, ...source }));
+    }
+    
+    async initialize() {
+        this.loadFromCache();
+        
+        // 缓存过期时在后台刷新，避免阻塞启动
+        const epgConfig = this.getEPGConfig();
+        if (this.isEnabled() && Date.now() - this.lastRefresh > epgConfig.refreshInterval) {
+            this.refresh().catch(error => {
+                this.logger.error('Initial EPG refresh failed:', error.message);
+            });
+        }
+        
+        this.logger.info('✅ EPGManager initialized');
+    }
+    
+    loadFromCache() {
+        try {
+            const cacheData = this.storage.get('epg');
+            if (cacheData) {
+                this.applyData(cacheData.programmes || {}, cacheData.channelNames || {});
+                this.lastRefresh = cacheData.timestamp || 0;
+                this.logger.info(`Loaded EPG for ${this.programmes.size} channels from cache`);
+            }
+        } catch (error) {
+            this.logger.error('Error loading EPG cache:', error);
+        }
+    }
+    
+    async saveToCache() {
+        try {
+            const cacheData = {
+                timestamp: this.lastRefresh,
+                channelNames: Object.fromEntries(this.channelNames),
+                programmes: Object.fromEntries(this.programmes)
+            };
+            
+            await this.storage.setLarge('epg', cacheData);
+            this.logger.debug('EPG cached successfully');
+        } catch (error) {
+            this.logger.error('Error saving EPG cache:', error);
+        }
+    }
+    
+    applyData(programmes, channelNames) {
+        this.programmes = new Map(Object.entries(programmes));
+        this.channelNames = new Map(Object.entries(channelNames));
+        this.nameIndex = new Map();
+        
+        for (const [xmltvId, names] of this.channelNames.entries()) {
+            for (const name of names) {
+                const key = this.normalizeName(name);
+                if (key && !this.nameIndex.has(key)) {
+                    this.nameIndex.set(key, xmltvId);
+                }
+            }
+        }
+    }
+    
+    async refresh() {
+        if (this.isRefreshing) {
+            this.logger.warn('EPG refresh already in progress, skipping');
+            return false;
+        }
+        
+        const sources = this.getSources();
+        if (sources.length === 0) {
+            return false;
+        }
+        
+        this.isRefreshing = true;
+        
+        try {
+            this.logger.info(`Refreshing EPG from ${sources.length} sources...`);
+            
+            const epgConfig = this.getEPGConfig();
+            const windowStart = Date.now() - epgConfig.pastHours * 3600000;
+            const windowEnd = Date.now() + epgConfig.days * 86400000;
+            
+            const programmes = {};
+            const channelNames = {};
+            let loadedSources = 0;
+            
+            // 按配置顺序合并，同一频道以先出现的源为准
+            for (const source of sources) {
+                try {
+                    const parsed = await this.loadSource(source, windowStart, windowEnd);
+                    
+                    for (const [xmltvId, names] of Object.entries(parsed.channelNames)) {
+                        channelNames[xmltvId] = Array.from(new Set([...(channelNames[xmltvId] || []), ...names]));
+                    }
+                    
+                    let added = 0;
+                    for (const [xmltvId, list] of Object.entries(parsed.programmes)) {
+                        if (!programmes[xmltvId]) {
+                            programmes[xmltvId] = list;
+                            added += list.length;
+                        }
+                    }
+                    
+                    loadedSources++;
+                    this.logger.info(`EPG source ${source.name}: ${Object.keys(parsed.programmes).length} channels, ${added} programmes merged`);
+                } catch (error) {
+                    this.logger.error(`Error loading EPG source ${source.name}: ${error.message}`);
+                }
+            }
+            
+            // 所有源都失败时保留原有数据
+            if (loadedSources === 0) {
+                this.logger.warn('All EPG sources failed, keeping previous guide data');
+                return false;
+            }
+            
+            for (const list of Object.values(programmes)) {
+                list.sort((a, b) => a.start - b.start);
+            }
+            
+            this.applyData(programmes, channelNames);
+            this.lastRefresh = Date.now();
+            await this.saveToCache();
+            
+            this.logger.success(`EPG refreshed: ${this.programmes.size} channels from ${loadedSources}/${sources.length} sources`);
+            return true;
+        } finally {
+            this.isRefreshing = false;
+        }
+    }
+    
+    // 下载并以流的方式解析XMLTV源，自动处理gzip压缩，不在内存中保留完整的节目单文本
+    async loadSource(source, windowStart, windowEnd) {
+        const timeout = source.timeout || this.getEPGConfig().timeout;
+        const response = await axios.get(source.url, {
+            responseType: 'stream',
+            timeout,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                ...(source.headers || {})
+            }
+        });
+        
+        // 超过timeout没有收到新数据时中止下载
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                response.data.destroy(new Error(`EPG source ${source.name} stalled for ${timeout}ms`));
+            }, timeout);
+        };
+        response.data.on('data', resetIdleTimer);
+        resetIdleTimer();
+        
+        try {
+            return await this.parseXMLTVStream(StreamDecoder.decode(response.data), windowStart, windowEnd);
+        } finally {
+            clearTimeout(idleTimer);
+            response.data.destroy();
+        }
+    }
+    
+    // 逐段读取XMLTV，每得到一个完整的 <channel> 或 <programme> 元素就解析并丢弃对应的文本，
+    // 只保留时间窗口内的节目
+    async parseXMLTVStream(stream, windowStart, windowEnd) {
+        const result = { programmes: {}, channelNames: {} };
+        let buffer = '';
+        
+        stream.setEncoding('utf8');
+        for await (const chunk of stream) {
+            buffer = this.consumeElements(buffer + chunk, result, windowStart, windowEnd);
+            if (buffer.length > MAX_ELEMENT_LENGTH) {
+                throw new Error(`XMLTV element exceeds ${MAX_ELEMENT_LENGTH} characters`);
+            }
+        }
+        
+        return result;
+    }
+    
+    // 解析文本中所有完整的元素，返回尚未结束的剩余文本
+    consumeElements(text, result, windowStart, windowEnd) {
+        const startRegex = /<(channel|programme)[\s>]/g;
+        let position = 0;
+        let match;
+        while ((match = startRegex.exec(text)) !== null) {
+            const closingTag = `</${match[1]}>`;
+            const end = text.indexOf(closingTag, match.index);
+            if (end === -1) {
+                return text.slice(match.index);
+            }
+            
+            const element = text.slice(match.index, end + closingTag.length);
+            if (match[1] === 'channel') {
+                this.parseChannelElement(element, result.channelNames);
+            } else {
+                this.parseProgrammeElement(element, result.programmes, windowStart, windowEnd);
+            }
+            position = end + closingTag.length;
+            startRegex.lastIndex = position;
+        }
+        
+        // 保留末尾可能被截断的起始标签
+        const lastTag = text.lastIndexOf('<');
+        return lastTag >= position ? text.slice(lastTag) : '';
+    }
+    
+    parseChannelElement(element, channelNames) {
+        const match = element.match(/^<channel\s+([^>]*)>([\s\S]*)<\/channel>$/);
+        if (!match) return;
+        
+        const attributes = this.parseAttributes(match[1]);
+        if (!attributes.id) return;
+        
+        const names = [];
+        const nameRegex = /<display-name[^>]*>([\s\S]*?)<\/display-name>/g;
+        let nameMatch;
+        while ((nameMatch = nameRegex.exec(match[2])) !== null) {
+            names.push(this.decodeXml(nameMatch[1].trim()));
+        }
+        
+        channelNames[attributes.id] = names;
+    }
+    
+    parseProgrammeElement(element, programmes, windowStart, windowEnd) {
+        const match = element.match(/^<programme\s+([^>]*)>([\s\S]*)<\/programme>$/);
+        if (!match) return;
+        
+        const attributes = this.parseAttributes(match[1]);
+        const start = this.parseXmltvTime(attributes.start);
+        const stop = this.parseXmltvTime(attributes.stop);
+        
+        if (!attributes.channel || !start || !stop) return;
+        if (stop < windowStart || start > windowEnd) return;
+        
+        const body = match[2];
+        const programme = {
+            start,
+            stop,
+            title: this.extractElement(body, 'title'),
+            desc: this.extractElement(body, 'desc')
+        };
+        
+        const subTitle = this.extractElement(body, 'sub-title');
+        if (subTitle) programme.subTitle = subTitle;
+        
+        const category = this.extractElement(body, 'category');
+        if (category) programme.category = category;
+        
+        const episodeNum = this.extractElement(body, 'episode-num');
+        if (episodeNum) programme.episodeNum = episodeNum;
+        
+        const iconMatch = body.match(/<icon\s+[^>]*src="([^"]*)"/);
+        if (iconMatch) programme.icon = this.decodeXml(iconMatch[1]);
+        
+        if (!programmes[attributes.channel]) {
+            programmes[attributes.channel] = [];
+        }
+        programmes[attributes.channel].push(programme);
+    }
+    
+    parseAttributes(text) {
+        const attributes = {};
+        const regex = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            attributes[match[1]] = this.decodeXml(match[2]);
+        }
+        return attributes;
+    }
+    
+    extractElement(body, tag) {
+        const match = body.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+        return match ? this.decodeXml(match[1].trim()) : '';
+    }
+    
+    // XMLTV时间格式：20240101120000 +0800
+    parseXmltvTime(value) {
+        if (!value) return 0;
+        
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/);
+        if (!match) return 0;
+        
+        const [, year, month, day, hour, minute, second = '00', offset = '+0000'] = match;
+        const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+        const sign = offset[0] === '-' ? -1 : 1;
+        const offsetMinutes = parseInt(offset.slice(1, 3)) * 60 + parseInt(offset.slice(3, 5));
+        
+        return utc - sign * offsetMinutes * 60000;
+    }
+    
+    formatXmltvTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+               `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())} +0000`;
+    }
+    
+    decodeXml(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+    
+    normalizeName(name) {
+        return (name || '').toLowerCase().replace(/[\s\-_.|:]+/g, '');
+    }
+    
+    // 通过tvgId匹配，其次通过tvgName/频道名匹配显示名称
+    resolveXmltvId(channel) {
+        if (channel.tvgId && this.programmes.has(channel.tvgId)) {
+            return channel.tvgId;
+        }
+        
+        for (const name of [channel.tvgName, channel.name]) {
+            const xmltvId = this.nameIndex.get(this.normalizeName(name));
+            if (xmltvId && this.programmes.has(xmltvId)) {
+                return xmltvId;
+            }
+        }
+        
+        return null;
+    }
+    
+    getProgrammesForChannel(channel, from = 0, to = Infinity) {
+        const xmltvId = this.resolveXmltvId(channel);
+        if (!xmltvId) {
+            return [];
+        }
+        
+        return this.programmes.get(xmltvId).filter(programme => programme.stop > from && programme.start < to);
+    }
+    
+    getStats() {
+        let programmeCount = 0;
+        for (const list of this.programmes.values()) {
+            programmeCount += list.length;
+        }
+        
+        return {
+            sources: this.getSources().length,
+            channels: this.programmes.size,
+            programmes: programmeCount,
+            lastRefresh: this.lastRefresh
+        };
+    }
+    
+    updateConfig(newConfig) {
+        this.config = newConfig;
+        this.logger.info('EPGManager configuration updated');
+    }
+}
+
+module.exports = EPGManager;
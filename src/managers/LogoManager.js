@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// 不接受SVG：台标与管理后台同源，SVG中的脚本可以在管理员浏览器中执行
+const EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/x-icon': '.ico',
+    'image/vnd.microsoft.icon': '.ico',
+    'image/bmp': '.bmp'
+};
+
+// 台标缓存：刷新后在后台下载上游台标到 data/logos/，并支持管理员为频道上传自定义台标
+class LogoManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // cache: 地址哈希 -> { url, file, contentType, size, fetchedAt, failedAt, error }
+        // overrides: 频道ID -> { file, contentType, size, updatedAt }
+        this.index = { cache: {}, overrides: {} };
+        this.syncing = false;
+        
+        // 数据文件路径
+        this.logoDir = path.join(__dirname, '../../data/logos');
+        this.overrideDir = path.join(this.logoDir, 'overrides');
+        
+        this.ensureDataDirectory();
+        this.loadIndex();
+    }
+    
+    ensureDataDirectory() {
+        if (!fs.existsSync(this.overrideDir)) {
+            fs.mkdirSync(this.overrideDir, { recursive: true });
+        }
+    }
+    
+    getLogoConfig() {
+        return {
+            enabled: true,
+            concurrency: 4,
+            timeout: 10000,
+            maxSize: 1048576,
+            refreshAfter: 604800000,
+            retryAfter: 3600000,
+            cacheMaxAge: 86400000,
+            ...(this.config.logos || {})
+        };
+    }
+    
+    isEnabled() {
+        return this.getLogoConfig().enabled;
+    }
+    
+    loadIndex() {
+        try {
+            const data = this.storage.get('logo-index');
+            if (data) {
+                this.index = { ...this.index, ...data };
+            }
+        } catch (error) {
+            this.logger.error('Error loading logo index:', error);
+        }
+    }
+    
+    saveIndex() {
+        try {
+            this.storage.set('logo-index', this.index);
+        } catch (error) {
+            this.logger.error('Error saving logo index:', error);
+        }
+    }
+    
+    hashUrl(url) {
+        return crypto.createHash('sha1').update(url).digest('hex');
+    }
+    
+    // 只接受图片，返回对应扩展名；无法识别时返回null
+    getExtension(contentType) {
+        const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+        return EXTENSIONS[type] || null;
+    }
+    
+    // 先写临时文件再替换，下载中断不会留下损坏的台标
+    writeFile(file, data) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, data);
+        fs.renameSync(tempFile, file);
+    }
+    
+    async download(url) {
+        const { timeout, maxSize } = this.getLogoConfig();
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout,
+            maxContentLength: maxSize,
+            maxRedirects: 5,
+            headers: {
+                'User-Agent': this.config.streaming?.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+        
+        const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const extension = this.getExtension(contentType);
+        if (!extension) {
+            throw new Error(`unsupported content type: ${contentType || 'none'}`);
+        }
+        
+        return { data: Buffer.from(response.data), contentType, extension };
+    }
+    
+    // 下载并缓存一个上游台标，成功返回缓存条目，失败返回null（失败会记录，retryAfter内不再重试）
+    async fetchLogo(url) {
+        const key = this.hashUrl(url);
+        const previous = this.index.cache[key];
+        
+        try {
+            const { data, contentType, extension } = await this.download(url);
+            const file = `${key}${extension}`;
+            this.writeFile(path.join(this.logoDir, file), data);
+            if (previous?.file && previous.file !== file) {
+                fs.rmSync(path.join(this.logoDir, previous.file), { force: true });
+            }
+            
+            this.index.cache[key] = { url, file, contentType, size: data.length, fetchedAt: Date.now() };
+            return this.index.cache[key];
+        } catch (error) {
+            this.index.cache[key] = {
+                ...(previous || { url }),
+                failedAt: Date.now(),
+                error: error.message
+            };
+            this.logger.debug(`Logo download failed for ${url}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    needsFetch(url) {
+        const { refreshAfter, retryAfter } = this.getLogoConfig();
+        const entry = this.index.cache[this.hashUrl(url)];
+        if (!entry) {
+            return true;
+        }
+        if (entry.failedAt && (!entry.fetchedAt || entry.failedAt > entry.fetchedAt)) {
+            return Date.now() - entry.failedAt >= retryAfter;
+        }
+        return Date.now() - entry.fetchedAt >= refreshAfter;
+    }
+    
+    // 按并发限制下载频道台标，并删除不再被任何频道使用的缓存
+    async syncLogos(channels) {
+        if (!this.isEnabled() || this.syncing) {
+            return null;
+        }
+        
+        this.syncing = true;
+        const startTime = Date.now();
+        const { concurrency } = this.getLogoConfig();
+        const urls = Array.from(new Set(channels.map(channel => channel.logo).filter(url => /^https?:\/\//i.test(url || ''))));
+        const pending = urls.filter(url => this.needsFetch(url));
+        let index = 0;
+        let failed = 0;
+        
+        const worker = async () => {
+            while (index < pending.length) {
+                const url = pending[index++];
+                if (!await this.fetchLogo(url)) failed++;
+            }
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+            this.pruneCache(urls);
+            this.saveIndex();
+            
+            if (pending.length > 0) {
+                this.logger.info(`Logo cache updated: ${pending.length - failed}/${pending.length} downloaded in ${Math.round((Date.now() - startTime) / 1000)}s`);
+            }
+            return { total: urls.length, fetched: pending.length - failed, failed };
+        } finally {
+            this.syncing = false;
+        }
+    }
+    
+    pruneCache(urls) {
+        const keep = new Set(urls.map(url => this.hashUrl(url)));
+        for (const [key, entry] of Object.entries(this.index.cache)) {
+            if (keep.has(key)) continue;
+            if (entry.file) {
+                fs.rmSync(path.join(this.logoDir, entry.file), { force: true });
+            }
+            delete this.index.cache[key];
+        }
+    }
+    
+    // 返回频道台标的本地文件，优先使用管理员上传的台标；未缓存时按需下载一次
+    async getLogoFile(channel) {
+        const override = this.index.overrides[channel.id];
+        if (override) {
+            return path.join(this.overrideDir, override.file);
+        }
+        
+        if (!channel.logo || !/^https?:\/\//i.test(channel.logo)) {
+            return null;
+        }
+        
+        let entry = this.index.cache[this.hashUrl(channel.logo)];
+        if (!entry?.file && this.needsFetch(channel.logo)) {
+            entry = await this.fetchLogo(channel.logo);
+            this.saveIndex();
+        }
+        
+        return entry?.file ? path.join(this.logoDir, entry.file) : null;
+    }
+    
+    hasLogo(channel) {
+        return !!this.index.overrides[channel.id] || /^https?:\/\//i.test(channel.logo || '');
+    }
+    
+    // 台标地址带上版本参数，上游换图或管理员上传新台标后播放器会重新获取
+    getLogoVersion(channel) {
+        const override = this.index.overrides[channel.id];
+        if (override) {
+            return String(override.updatedAt);
+        }
+        return this.hashUrl(channel.logo).slice(0, 8);
+    }
+    
+    setOverride(channelId, data, contentType) {
+        const extension = this.getExtension(contentType);
+        if (!extension) {
+            throw new Error(`Unsupported image type: ${contentType || 'none'}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error('Logo image is empty');
+        }
+        if (data.length > this.getLogoConfig().maxSize) {
+            throw new Error(`Logo image exceeds ${this.getLogoConfig().maxSize} bytes`);
+        }
+        
+        this.removeOverride(channelId, false);
+        const file = `${channelId}${extension}`;
+        this.writeFile(path.join(this.overrideDir, file), data);
+        this.index.overrides[channelId] = { file, contentType, size: data.length, updatedAt: Date.now() };
+        this.saveIndex();
+        this.logger.info(`Logo override set for channel ${channelId}`);
+        return this.index.overrides[channelId];
+    }
+    
+    removeOverride(channelId, save = true) {
+        const override = this.index.overrides[channelId];
+        if (!override) {
+            return false;
+        }
+        
+        fs.rmSync(path.join(this.overrideDir, override.file), { force: true });
+        delete this.index.overrides[channelId];
+        if (save) {
+            this.saveIndex();
+            this.logger.info(`Logo override removed for channel ${channelId}`);
+        }
+        return true;
+    }
+    
+    getStats() {
+        const entries = Object.values(this.index.cache);
+        return {
+            enabled: this.isEnabled(),
+            syncing: this.syncing,
+            cached: entries.filter(entry => entry.file).length,
+            failed: entries.filter(entry => entry.failedAt && (!entry.fetchedAt || entry.failedAt > entry.fetchedAt)).length,
+            overrides: Object.keys(this.index.overrides).length,
+            size: entries.reduce((total, entry) => total + (entry.size || 0), 0)
+        };
+    }
+}
+
+module.exports = LogoManager;
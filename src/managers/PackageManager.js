@@ -0,0 +1,126 @@
+class PackageManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // 频道套餐：名称 -> { name, description, categories, channelIds }
+        this.packages = new Map();
+        
+        this.loadPackages();
+    }
+    
+    loadPackages() {
+        try {
+            const data = this.storage.get('packages');
+            if (data) {
+                this.packages = new Map(Object.entries(data));
+                this.logger.info(`Loaded ${this.packages.size} channel packages`);
+            }
+        } catch (error) {
+            this.logger.error('Error loading channel packages:', error);
+        }
+    }
+    
+    savePackages() {
+        try {
+            this.storage.set('packages', Object.fromEntries(this.packages));
+        } catch (error) {
+            this.logger.error('Error saving channel packages:', error);
+        }
+    }
+    
+    normalizePackage(name, definition = {}) {
+        return {
+            name,
+            description: definition.description || '',
+            categories: Array.isArray(definition.categories) ? definition.categories.map(String) : [],
+            channelIds: Array.isArray(definition.channelIds) ? definition.channelIds.map(id => parseInt(id)).filter(id => !isNaN(id)) : []
+        };
+    }
+    
+    createPackage(name, definition = {}) {
+        if (!name) {
+            throw new Error('Package name required');
+        }
+        
+        if (this.packages.has(name)) {
+            throw new Error('Package already exists');
+        }
+        
+        const pkg = {
+            ...this.normalizePackage(name, definition),
+            createdAt: Date.now()
+        };
+        
+        this.packages.set(name, pkg);
+        this.savePackages();
+        
+        this.logger.info(`Channel package ${name} created`);
+        return pkg;
+    }
+    
+    updatePackage(name, updates = {}) {
+        const existing = this.packages.get(name);
+        if (!existing) {
+            throw new Error('Package not found');
+        }
+        
+        const pkg = {
+            ...existing,
+            ...this.normalizePackage(name, { ...existing, ...updates }),
+            updatedAt: Date.now()
+        };
+        
+        this.packages.set(name, pkg);
+        this.savePackages();
+        
+        this.logger.info(`Channel package ${name} updated`);
+        return pkg;
+    }
+    
+    deletePackage(name) {
+        const removed = this.packages.delete(name);
+        if (removed) {
+            this.savePackages();
+            this.logger.info(`Channel package ${name} deleted`);
+        }
+        return removed;
+    }
+    
+    getPackage(name) {
+        return this.packages.get(name) || null;
+    }
+    
+    getPackages() {
+        return Array.from(this.packages.values());
+    }
+    
+    hasPackages() {
+        return this.packages.size > 0;
+    }
+    
+    // 用户套餐列表为空或未设置时不做限制
+    isChannelAllowed(channel, packageNames) {
+        if (!packageNames || packageNames.length === 0) {
+            return true;
+        }
+        
+        return packageNames.some(name => {
+            const pkg = this.packages.get(name);
+            if (!pkg) {
+                return false;
+            }
+            return pkg.categories.includes(channel.category) || pkg.channelIds.includes(channel.id);
+        });
+    }
+    
+    filterChannels(channels, packageNames) {
+        if (!packageNames || packageNames.length === 0) {
+            return channels;
+        }
+        return channels.filter(channel => this.isChannelAllowed(channel, packageNames));
+    }
+}
+
+module.exports = PackageManager;
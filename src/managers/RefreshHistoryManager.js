@@ -0,0 +1,138 @@
+// 每类变更在历史记录中最多保留的明细条数
+const MAX_DETAILS_PER_TYPE = 200;
+
+class RefreshHistoryManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        this.history = [];
+        
+        this.loadHistory();
+    }
+    
+    getHistorySize() {
+        return this.config.catalogue?.historySize ?? 50;
+    }
+    
+    loadHistory() {
+        try {
+            const data = this.storage.get('refresh-history');
+            if (data) {
+                this.history = data;
+            }
+        } catch (error) {
+            this.logger.error('Error loading refresh history:', error);
+        }
+    }
+    
+    saveHistory() {
+        try {
+            this.storage.set('refresh-history', this.history);
+        } catch (error) {
+            this.logger.error('Error saving refresh history:', error);
+        }
+    }
+    
+    // 比较新旧频道列表（频道ID稳定，按ID匹配）
+    diffChannels(oldChannels, newChannels) {
+        const oldById = new Map(oldChannels.map(channel => [channel.id, channel]));
+        const newById = new Map(newChannels.map(channel => [channel.id, channel]));
+        const diff = {
+            added: [],
+            removed: [],
+            renamed: [],
+            urlChanged: [],
+            categoryChanged: []
+        };
+        
+        for (const [id, channel] of newById) {
+            const previous = oldById.get(id);
+            if (!previous) {
+                diff.added.push({ id, name: channel.name, category: channel.category });
+                continue;
+            }
+            
+            if (previous.name !== channel.name) {
+                diff.renamed.push({ id, from: previous.name, to: channel.name });
+            }
+            if (previous.url !== channel.url) {
+                diff.urlChanged.push({ id, name: channel.name });
+            }
+            if (previous.category !== channel.category) {
+                diff.categoryChanged.push({ id, name: channel.name, from: previous.category, to: channel.category });
+            }
+        }
+        
+        for (const [id, channel] of oldById) {
+            if (!newById.has(id)) {
+                diff.removed.push({ id, name: channel.name, category: channel.category });
+            }
+        }
+        
+        this.detectRenames(diff, oldById, newById);
+        return diff;
+    }
+    
+    // 改名后稳定键变化会分配新ID，这里把tvg-id或地址相同的一对"移除+新增"视为改名
+    detectRenames(diff, oldById, newById) {
+        const identity = (channel) => channel.tvgId ? `tvg:${channel.tvgId}` : `url:${channel.url}`;
+        const removedByIdentity = new Map();
+        for (const item of diff.removed) {
+            const key = identity(oldById.get(item.id));
+            if (!removedByIdentity.has(key)) {
+                removedByIdentity.set(key, item);
+            }
+        }
+        
+        const matched = new Set();
+        diff.added = diff.added.filter(item => {
+            const channel = newById.get(item.id);
+            const previous = removedByIdentity.get(identity(channel));
+            if (!previous || matched.has(previous) || previous.name === channel.name) {
+                return true;
+            }
+            
+            matched.add(previous);
+            diff.renamed.push({ id: item.id, previousId: previous.id, from: previous.name, to: channel.name });
+            return false;
+        });
+        diff.removed = diff.removed.filter(item => !matched.has(item));
+    }
+    
+    summarize(diff) {
+        return Object.fromEntries(Object.entries(diff).map(([type, items]) => [type, items.length]));
+    }
+    
+    // 记录一次刷新结果，明细过多时截断
+    record(entry) {
+        const record = {
+            id: String(entry.timestamp || Date.now()),
+            timestamp: entry.timestamp || Date.now(),
+            ...entry
+        };
+        
+        if (record.diff) {
+            record.summary = this.summarize(record.diff);
+            record.diff = Object.fromEntries(Object.entries(record.diff).map(([type, items]) => [type, items.slice(0, MAX_DETAILS_PER_TYPE)]));
+        }
+        
+        this.history.unshift(record);
+        this.history = this.history.slice(0, this.getHistorySize());
+        this.saveHistory();
+        
+        return record;
+    }
+    
+    // 列表只返回摘要，明细通过getRecord获取
+    getHistory(limit = 20) {
+        return this.history.slice(0, limit).map(({ diff, ...record }) => record);
+    }
+    
+    getRecord(id) {
+        return this.history.find(record => record.id === String(id)) || null;
+    }
+}
+
+module.exports = RefreshHistoryManager;
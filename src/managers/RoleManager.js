@@ -0,0 +1,146 @@
+// 可授予的权限
+const PERMISSIONS = ['manage_users', 'change_sources', 'view_logs', 'manage_admins', 'block_ips'];
+
+// 内置角色及其权限，可在配置 adminRoles 中覆盖或新增
+const DEFAULT_ROLES = {
+    owner: ['manage_users', 'change_sources', 'view_logs', 'manage_admins', 'block_ips'],
+    admin: ['manage_users', 'change_sources', 'view_logs', 'block_ips'],
+    moderator: ['manage_users', 'view_logs', 'block_ips'],
+    support: ['view_logs']
+};
+
+// 管理员角色：Telegram管理员、管理面板账号和API密钥各自分配一个角色，角色决定可执行的操作
+class RoleManager {
+    constructor(config, logger, storage) {
+        this.config = config;
+        this.logger = logger;
+        this.storage = storage;
+        
+        // 主体类型 -> { 主体ID: 角色 }
+        this.assignments = {
+            telegram: {},
+            accounts: {},
+            apiKeys: {}
+        };
+        this.loadAssignments();
+    }
+    
+    loadAssignments() {
+        try {
+            const data = this.storage.get('admin-roles');
+            if (data) {
+                this.assignments = { ...this.assignments, ...data };
+            } else {
+                this.assignInitialOwners();
+            }
+        } catch (error) {
+            this.logger.error('Error loading admin roles:', error);
+        }
+    }
+    
+    // 首次加载（还没有角色数据）时，引入角色之前就有全部权限的Telegram管理员（telegram.adminUserIds）分配为owner；
+    // 之后新增的管理员都需要显式分配角色
+    assignInitialOwners() {
+        const adminUserIds = (this.config.telegram?.adminUserIds || []).map(String);
+        for (const id of adminUserIds) {
+            this.assignments.telegram[id] = 'owner';
+        }
+        
+        this.saveAssignments();
+        if (adminUserIds.length > 0) {
+            this.logger.info(`Assigned owner role to ${adminUserIds.length} existing Telegram admin(s)`);
+        }
+    }
+    
+    saveAssignments() {
+        try {
+            this.storage.set('admin-roles', this.assignments);
+        } catch (error) {
+            this.logger.error('Error saving admin roles:', error);
+        }
+    }
+    
+    getRoleDefinitions() {
+        const roles = { ...DEFAULT_ROLES, ...(this.config.adminRoles || {}) };
+        for (const [role, permissions] of Object.entries(roles)) {
+            roles[role] = (Array.isArray(permissions) ? permissions : []).filter(permission => PERMISSIONS.includes(permission));
+        }
+        return roles;
+    }
+    
+    getPermissionList() {
+        return PERMISSIONS;
+    }
+    
+    isValidRole(role) {
+        return Object.prototype.hasOwnProperty.call(this.getRoleDefinitions(), role);
+    }
+    
+    getPermissions(role) {
+        return this.getRoleDefinitions()[role] || [];
+    }
+    
+    hasPermission(role, permission) {
+        return this.getPermissions(role).includes(permission);
+    }
+    
+    // 只能授予或管理权限不超过自己的角色，避免越权提升
+    canManage(actorRole, targetRole) {
+        const granted = this.getPermissions(actorRole);
+        return this.getPermissions(targetRole).every(permission => granted.includes(permission));
+    }
+    
+    // 未分配角色或分配的角色已不存在时返回null，即没有任何权限；
+    // 旧格式的主管理员（telegram.adminUserId）始终是owner
+    getRole(type, id) {
+        id = String(id);
+        if (type === 'telegram' && String(this.config.telegram?.adminUserId || '') === id) {
+            return 'owner';
+        }
+        
+        const role = this.assignments[type]?.[id];
+        return role && this.isValidRole(role) ? role : null;
+    }
+    
+    setRole(type, id, role) {
+        if (!this.assignments[type]) {
+            throw new Error(`Unknown principal type: ${type}`);
+        }
+        if (!this.isValidRole(role)) {
+            throw new Error(`Unknown role: ${role} (available: ${Object.keys(this.getRoleDefinitions()).join(', ')})`);
+        }
+        if (type === 'telegram' && String(this.config.telegram?.adminUserId || '') === String(id)) {
+            throw new Error('The primary admin is always owner');
+        }
+        
+        this.assignments[type][String(id)] = role;
+        this.saveAssignments();
+        this.logger.info(`Role of ${type}:${id} set to ${role}`);
+    }
+    
+    removeRole(type, id) {
+        if (this.assignments[type]?.[String(id)] === undefined) {
+            return false;
+        }
+        delete this.assignments[type][String(id)];
+        this.saveAssignments();
+        return true;
+    }
+    
+    // 由管理面板的登录身份得到角色：API密钥、Telegram登录或账号密码
+    resolveRole(identity) {
+        if (identity.method === 'apiKey') {
+            return this.getRole('apiKeys', identity.apiKeyId);
+        }
+        if (identity.method === 'telegram') {
+            return this.getRole('telegram', identity.username.replace(/^telegram:/, ''));
+        }
+        return this.getRole('accounts', identity.username);
+    }
+    
+    getAssignments() {
+        return this.assignments;
+    }
+}
+
+module.exports = RoleManager;
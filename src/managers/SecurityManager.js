@@ -1,35 +1,21 @@
-const fs = require('fs');
-const path = require('path');
-
 class SecurityManager {
-    constructor(config, logger) {
+    constructor(config, logger, storage) {
         this.config = config;
         this.logger = logger;
+        this.storage = storage;
         
         this.activeConnections = new Map();
         this.blockedIPs = new Set(config.security?.blockedIPs || []);
         this.allowedIPs = new Set(config.security?.allowedIPs || []);
         this.rateLimits = new Map();
         
-        // 数据文件路径
-        this.dataDir = path.join(__dirname, '../../data');
-        this.securityFile = path.join(this.dataDir, 'security.json');
-        
-        this.ensureDataDirectory();
         this.loadSecurityData();
     }
     
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
-    }
-    
     loadSecurityData() {
         try {
-            if (fs.existsSync(this.securityFile)) {
-                const data = JSON.parse(fs.readFileSync(this.securityFile, 'utf8'));
-                
+            const data = this.storage.get('security');
+            if (data) {
                 if (data.blockedIPs) {
                     this.blockedIPs = new Set(data.blockedIPs);
                 }
@@ -53,7 +39,7 @@ class SecurityManager {
                 lastUpdated: Date.now()
             };
             
-            fs.writeFileSync(this.securityFile, JSON.stringify(data, null, 2));
+            this.storage.set('security', data);
         } catch (error) {
             this.logger.error('Error saving security data:', error);
         }
@@ -74,8 +60,8 @@ class SecurityManager {
             return res.status(403).json({ error: 'IP not authorized' });
         }
         
-        // 速率限制检查
-        if (!this.checkRateLimit(clientIP)) {
+        // 速率限制检查（台标请求数量多且可缓存，不计入限制）
+        if (!req.path.startsWith('/logos/') && !this.checkRateLimit(clientIP)) {
             this.logger.warn(`Rate limit exceeded for IP: ${clientIP}`);
             return res.status(429).json({ error: 'Too many requests' });
         }
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStreamWriter = require('../utils/JsonStreamWriter');
+
+// 保存最近N份通过校验的频道目录快照，用于回滚
+class SnapshotManager {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        
+        // 数据文件路径
+        this.dataDir = path.join(__dirname, '../../data');
+        this.snapshotDir = path.join(this.dataDir, 'snapshots');
+        
+        this.ensureDataDirectory();
+    }
+    
+    ensureDataDirectory() {
+        if (!fs.existsSync(this.snapshotDir)) {
+            fs.mkdirSync(this.snapshotDir, { recursive: true });
+        }
+    }
+    
+    getKeepCount() {
+        return this.config.catalogue?.snapshotCount ?? 5;
+    }
+    
+    getSnapshotFile(id) {
+        return path.join(this.snapshotDir, `catalogue-${id}.json`);
+    }
+    
+    async saveSnapshot(catalogue) {
+        if (this.getKeepCount() <= 0) {
+            return null;
+        }
+        
+        const id = String(catalogue.timestamp || Date.now());
+        try {
+            await new JsonStreamWriter(this.getSnapshotFile(id)).write(catalogue);
+            this.pruneSnapshots();
+            this.logger.info(`Catalogue snapshot ${id} saved`);
+            return id;
+        } catch (error) {
+            this.logger.error('Error saving catalogue snapshot:', error);
+            return null;
+        }
+    }
+    
+    // 按时间从新到旧列出快照
+    listSnapshots() {
+        try {
+            return fs.readdirSync(this.snapshotDir)
+                .map(file => file.match(/^catalogue-(\d+)\.json$/))
+                .filter(Boolean)
+                .map(match => {
+                    const stats = fs.statSync(this.getSnapshotFile(match[1]));
+                    return {
+                        id: match[1],
+                        createdAt: parseInt(match[1]),
+                        size: stats.size
+                    };
+                })
+                .sort((a, b) => b.createdAt - a.createdAt);
+        } catch (error) {
+            this.logger.error('Error listing catalogue snapshots:', error);
+            return [];
+        }
+    }
+    
+    loadSnapshot(id) {
+        const file = this.getSnapshotFile(id);
+        if (!/^\d+$/.test(String(id)) || !fs.existsSync(file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    
+    pruneSnapshots() {
+        const snapshots = this.listSnapshots();
+        for (const snapshot of snapshots.slice(this.getKeepCount())) {
+            fs.rmSync(this.getSnapshotFile(snapshot.id), { force: true });
+            this.logger.debug(`Catalogue snapshot ${snapshot.id} pruned`);
+        }
+    }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,194 @@
+const path = require('path');
+const JsonFileStore = require('../utils/JsonFileStore');
+
+// 通过存储层保存的文档（对应JSON后端下 data/ 中的同名文件）
+const DOCUMENTS = [
+    'users',
+    'playlists',
+    'user-limits',
+    'security',
+    'telegram-tokens',
+    'telegram-limits',
+    'user-activities',
+    'admin-auth',
+    'admin-roles',
+    'channels'
+];
+
+// 可以从源重新获取的缓存（超大文档，不做备份），损坏时不向管理员报警
+const CACHE_DOCUMENTS = ['channels', 'epg'];
+
+// 持久化存储：按配置选择JSON文件（默认）或SQLite后端，各管理器只通过文档名读写
+class StorageManager {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        
+        this.rootDir = path.join(__dirname, '../..');
+        // 合并写入中的文档：名称 -> { getValue, firstScheduled, timer }
+        this.scheduled = new Map();
+        // 事务嵌套深度，以及事务中第一个写入错误（即使调用方捕获了，也使整个事务回滚）
+        this.transactionDepth = 0;
+        this.transactionError = null;
+        this.store = this.createStore();
+        this.logger.info(`Storage backend: ${this.getStorageConfig().backend} (${this.store.getLocation()})`);
+    }
+    
+    getStorageConfig() {
+        return {
+            backend: 'json',
+            sqliteFile: 'data/xtream-proxy.db',
+            saveDelay: 2000,
+            maxSaveDelay: 10000,
+            backupCount: 5,
+            backupInterval: 3600000,
+            ...(this.config.storage || {})
+        };
+    }
+    
+    createStore() {
+        const { backend, sqliteFile, backupCount, backupInterval } = this.getStorageConfig();
+        switch (backend) {
+            case 'json': {
+                const store = new JsonFileStore(path.join(this.rootDir, 'data'), this.logger, { backupCount, backupInterval, caches: CACHE_DOCUMENTS });
+                // 各管理器加载之前检查一次全部数据文件，损坏的文件从备份恢复
+                store.recoverCorrupted();
+                return store;
+            }
+            case 'sqlite': {
+                // 仅在使用SQLite后端时加载，better-sqlite3需要较新的Node.js版本
+                const SqliteStore = require('../utils/SqliteStore');
+                return new SqliteStore(path.resolve(this.rootDir, sqliteFile), this.logger);
+            }
+            default:
+                throw new Error(`Unknown storage backend: ${backend} (expected json or sqlite)`);
+        }
+    }
+    
+    getDocuments() {
+        return DOCUMENTS;
+    }
+    
+    get(name) {
+        return this.store.get(name);
+    }
+    
+    has(name) {
+        return this.store.has(name);
+    }
+    
+    set(name, value) {
+        this.cancelScheduled(name);
+        this.write(() => this.store.set(name, value));
+    }
+    
+    delete(name) {
+        this.cancelScheduled(name);
+        this.write(() => this.store.delete(name));
+    }
+    
+    // 各管理器的save方法会自行捕获并记录写入错误，事务中的错误在此记下，由transaction重新抛出
+    write(fn) {
+        try {
+            fn();
+        } catch (error) {
+            if (this.transactionDepth > 0 && !this.transactionError) {
+                this.transactionError = error;
+            }
+            throw error;
+        }
+    }
+    
+    // 频繁变化的文档（使用限制、活跃流等）合并写入：最后一次调用 saveDelay 毫秒后写入，
+    // 持续变化时最迟 maxSaveDelay 毫秒写入一次；写入时才调用 getValue 取最新数据
+    scheduleSave(name, getValue) {
+        const { saveDelay, maxSaveDelay } = this.getStorageConfig();
+        const now = Date.now();
+        const entry = this.scheduled.get(name) || { firstScheduled: now, timer: null };
+        
+        entry.getValue = getValue;
+        clearTimeout(entry.timer);
+        const delay = Math.max(0, Math.min(saveDelay, entry.firstScheduled + maxSaveDelay - now));
+        entry.timer = setTimeout(() => this.flush(name), delay);
+        this.scheduled.set(name, entry);
+    }
+    
+    cancelScheduled(name) {
+        const entry = this.scheduled.get(name);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.scheduled.delete(name);
+        }
+    }
+    
+    // 立即写入合并中的文档，未指定名称时写入全部
+    flush(name = null) {
+        const names = name ? [name] : Array.from(this.scheduled.keys());
+        for (const docName of names) {
+            const entry = this.scheduled.get(docName);
+            if (!entry) {
+                continue;
+            }
+            
+            this.cancelScheduled(docName);
+            try {
+                this.write(() => this.store.set(docName, entry.getValue()));
+            } catch (error) {
+                this.logger.error(`Error saving ${docName}:`, error);
+            }
+        }
+    }
+    
+    list() {
+        return this.store.list();
+    }
+    
+    // 频道缓存等超大文档使用，JSON后端以流的方式写入
+    async setLarge(name, value) {
+        await this.store.setLarge(name, value);
+    }
+    
+    // 回调中的所有写入一起生效；回调抛出异常或任一写入失败（即使已被调用方捕获）时不写入任何内容，
+    // 并向调用方抛出该错误
+    transaction(fn) {
+        if (this.transactionDepth > 0) {
+            return fn();
+        }
+        
+        this.transactionDepth++;
+        this.transactionError = null;
+        try {
+            return this.store.transaction(() => {
+                const result = fn();
+                if (this.transactionError) {
+                    throw this.transactionError;
+                }
+                return result;
+            });
+        } finally {
+            this.transactionDepth--;
+            this.transactionError = null;
+        }
+    }
+    
+    // 启动加载时从备份恢复过的文档，供管理面板和Telegram通知管理员
+    getRecoveries() {
+        return this.store.getRecoveries();
+    }
+    
+    getStatus() {
+        return {
+            backend: this.getStorageConfig().backend,
+            location: this.store.getLocation(),
+            pendingSaves: Array.from(this.scheduled.keys()),
+            recoveries: this.getRecoveries()
+        };
+    }
+    
+    close() {
+        this.flush();
+        this.store.close();
+    }
+}
+
+module.exports = StorageManager;
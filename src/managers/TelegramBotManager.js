@@ -5,18 +5,23 @@ const AdminHandler = require('./telegram/AdminHandler');
 const UserValidator = require('./telegram/UserValidator');
 
 class TelegramBotManager {
-    constructor(config, userManager, logger) {
+    constructor(config, userManager, logger, storage) {
         this.config = config.telegram;
         this.serverConfig = config.server;
         this.userManager = userManager;
         this.logger = logger;
         
         this.bot = null;
+        this.isReady = false;
         this.isShuttingDown = false;
+        this.roleManager = null;
+        this.configManager = null;
+        // 机器人连接前产生的管理员通知，连接后再发送
+        this.pendingAdminNotices = [];
         
         // 初始化子管理器
-        this.tokenManager = new TokenManager(this.config, this.logger);
-        this.userValidator = new UserValidator(this.config, this.logger);
+        this.tokenManager = new TokenManager(this.config, this.logger, storage);
+        this.userValidator = new UserValidator(this.config, this.logger, storage);
         this.commandHandler = new CommandHandler(this.config, this.userManager, this.logger, this.serverConfig);
         this.adminHandler = new AdminHandler(this.config, this.userManager, this.logger);
         
@@ -29,6 +34,7 @@ class TelegramBotManager {
     }
     
     async initializeBot() {
+        this.isReady = false;
         try {
             // 如果已经有机器人实例在运行，先停止它
             if (this.bot) {
@@ -80,6 +86,11 @@ class TelegramBotManager {
             // 通知管理员机器人已启动
             await this.notifyAdmins('🤖 Xtream Codes Proxy bot is now online!');
             
+            this.isReady = true;
+            for (const message of this.pendingAdminNotices.splice(0)) {
+                await this.notifyAdmins(message);
+            }
+            
         } catch (error) {
             console.log('❌ Telegram机器人初始化失败:', error.message);
             this.logger.error('❌ Failed to initialize Telegram bot:', error.message);
@@ -132,21 +143,6 @@ class TelegramBotManager {
             { command: 'mycredentials', description: '查看我的凭据' }
         ];
         
-        // 设置管理员私聊中的命令（包含额外的管理员命令）
-        const adminCommands = [
-            { command: 'start', description: '开始使用机器人' },
-            { command: 'help', description: '显示帮助信息' },
-            { command: 'gettoken', description: '获取访问令牌' },
-            { command: 'mycredentials', description: '查看我的凭据' },
-            { command: 'status', description: '查看服务器状态' },
-            { command: 'refresh', description: '刷新频道列表' },
-            { command: 'admin', description: '管理员面板' },
-            { command: 'addadmin', description: '添加管理员' },
-            { command: 'removeadmin', description: '移除管理员' },
-            { command: 'listadmins', description: '查看管理员列表' },
-            { command: 'changem3u', description: '修改M3U订阅链接' }
-        ];
-        
         try {
             // 设置群组命令
             await this.bot.setMyCommands(groupCommands, {
@@ -158,21 +154,10 @@ class TelegramBotManager {
                 scope: { type: 'all_private_chats' }
             });
             
-            // 为每个管理员设置特殊命令
+            // 为每个管理员设置其角色可用的命令（用户还未与机器人对话时会在首次对话时设置）
             const adminIds = this.getAllAdminIds();
             for (const adminId of adminIds) {
-                try {
-                    await this.bot.setMyCommands(adminCommands, {
-                        scope: { 
-                            type: 'chat',
-                            chat_id: parseInt(adminId)
-                        }
-                    });
-                } catch (error) {
-                    // 如果用户还没有与机器人开始对话，会出现 "chat not found" 错误
-                    // 这是正常的，当用户首次与机器人对话时会自动设置命令
-                    this.logger.debug(`无法为管理员 ${adminId} 设置命令 (用户可能还未与机器人对话):`, error.message);
-                }
+                await this.setupAdminCommands(adminId);
             }
             
             this.logger.info('✅ Bot commands set successfully');
@@ -373,27 +358,19 @@ class TelegramBotManager {
                 
                 case '/mycredentials':
                     if (isPrivateChat) {
-                        await this.commandHandler.handleMyCredentials(msg, this.bot);
+                        await this.commandHandler.handleMyCredentials(msg, this.bot, args);
                     }
                     break;
                 
                 case '/status':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'view_logs')) {
                         await this.commandHandler.handleStatus(msg, this.bot);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
                 case '/refresh':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'change_sources')) {
                         await this.commandHandler.handleRefresh(msg, this.bot);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
@@ -405,52 +382,38 @@ class TelegramBotManager {
                 
                 // 管理员命令
                 case '/admin':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat)) {
                         await this.adminHandler.handleAdminCommand(msg, this.bot, args);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
                 case '/addadmin':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'manage_admins')) {
                         await this.handleAddAdmin(msg, args);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
                 case '/removeadmin':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'manage_admins')) {
                         await this.handleRemoveAdmin(msg, args);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
                 case '/listadmins':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'view_logs')) {
                         await this.handleListAdmins(msg);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
                     }
                     break;
                 
                 case '/changem3u':
-                    if (this.isAdmin(msg.from.id) && isPrivateChat) {
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'change_sources')) {
                         await this.adminHandler.handleChangeM3U(msg, this.bot, args);
-                    } else if (!isPrivateChat) {
-                        await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
-                    } else {
-                        await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
+                    }
+                    break;
+                
+                case '/setrole':
+                    if (await this.checkAdminAccess(msg, isPrivateChat, 'manage_admins')) {
+                        await this.handleSetRole(msg, args);
                     }
                     break;
                 
@@ -544,6 +507,52 @@ class TelegramBotManager {
         await this.userValidator.revokeUserAccess(leftMember.id, 'Left group');
     }
     
+    setAdminAuth(adminAuth) {
+        this.adminHandler.setAdminAuth(adminAuth);
+    }
+    
+    setRoleManager(roleManager) {
+        this.roleManager = roleManager;
+        this.adminHandler.setRoleManager(roleManager);
+    }
+    
+    setSecurityManager(securityManager) {
+        this.adminHandler.setSecurityManager(securityManager);
+    }
+    
+    setConfigManager(configManager) {
+        this.configManager = configManager;
+    }
+    
+    // 未启用角色管理时管理员拥有全部权限
+    getAdminRole(userId) {
+        return this.roleManager ? this.roleManager.getRole('telegram', userId) : 'owner';
+    }
+    
+    hasPermission(userId, permission) {
+        if (!this.isAdmin(userId)) {
+            return false;
+        }
+        return !this.roleManager || this.roleManager.hasPermission(this.getAdminRole(userId), permission);
+    }
+    
+    // 管理员命令只能在私聊中使用，并且需要管理员的角色拥有对应权限（permission为空时只要求是管理员）
+    async checkAdminAccess(msg, isPrivateChat, permission = null) {
+        if (!isPrivateChat) {
+            await this.bot.sendMessage(msg.chat.id, '⚠️ 管理员命令请私聊机器人使用');
+            return false;
+        }
+        if (!this.isAdmin(msg.from.id)) {
+            await this.bot.sendMessage(msg.chat.id, '❌ 您没有管理员权限');
+            return false;
+        }
+        if (permission && !this.hasPermission(msg.from.id, permission)) {
+            await this.bot.sendMessage(msg.chat.id, `❌ 您的角色（${this.getAdminRole(msg.from.id) || '未分配'}）没有此操作的权限（${permission}）`);
+            return false;
+        }
+        return true;
+    }
+    
     isAdmin(userId) {
         const userIdStr = userId.toString();
         
@@ -579,6 +588,15 @@ class TelegramBotManager {
         }
     }
 
+    // 机器人尚未连接时暂存通知，连接成功后发送
+    async notifyAdminsWhenReady(message) {
+        if (this.isReady) {
+            await this.notifyAdmins(message);
+        } else {
+            this.pendingAdminNotices.push(message);
+        }
+    }
+
     async sendDirectMessage(userId, message) {
         try {
             if (!this.bot) {
@@ -667,12 +685,17 @@ class TelegramBotManager {
                 
                 if (this.userManager.channelManager && this.userManager.channelManager.refreshChannels) {
                     const oldChannelCount = this.userManager.channelManager.getChannelCount();
-                    await this.userManager.channelManager.refreshChannels();
+                    const result = await this.userManager.channelManager.refreshChannels({ trigger: 'telegram-auto' });
                     const newChannelCount = this.userManager.channelManager.getChannelCount();
                     
+                    if (result && !result.success) {
+                        throw new Error(result.message);
+                    }
+                    
                     const message = `🔄 自动刷新完成
 
 📺 频道数量：${oldChannelCount} → ${newChannelCount}
+${this.formatRefreshChanges(result?.record)}
 ⏰ 刷新时间：${new Date().toLocaleString()}
 🔗 当前链接：${this.config.originalServer?.url || '未设置'}
 
@@ -702,6 +725,35 @@ class TelegramBotManager {
         }, 2 * 60 * 60 * 1000); // 每2小时执行一次
     }
 
+    // 生成刷新变更摘要，每类最多列出3个示例，完整明细见 /admin/refresh-history/:id
+    formatRefreshChanges(record) {
+        if (!record || !record.summary) {
+            return '📋 变更明细：无';
+        }
+        
+        const { diff, summary } = record;
+        const sections = [
+            ['➕ 新增', 'added', item => item.name],
+            ['➖ 移除', 'removed', item => item.name],
+            ['✏️ 改名', 'renamed', item => `${item.from} → ${item.to}`],
+            ['🔗 地址变更', 'urlChanged', item => item.name],
+            ['📂 分类变更', 'categoryChanged', item => `${item.name}（${item.from} → ${item.to}）`]
+        ];
+        
+        const lines = sections
+            .filter(([, type]) => summary[type] > 0)
+            .map(([label, type, format]) => {
+                const examples = diff[type].slice(0, 3).map(format).join('、');
+                const more = summary[type] > 3 ? ' 等' : '';
+                return `${label}：${summary[type]}（${examples}${more}）`;
+            });
+        
+        if (lines.length === 0) {
+            return '📋 变更明细：无变化';
+        }
+        return `📋 变更明细（记录ID：${record.id}）：\n${lines.join('\n')}`;
+    }
+
     startExpiryCheckTask() {
         // 每小时检查用户过期情况
         setInterval(async () => {
@@ -795,19 +847,26 @@ class TelegramBotManager {
                 await this.bot.sendMessage(msg.chat.id, `❓ 请提供要添加的管理员用户ID
 
 📝 使用方法：
-\`/addadmin 用户ID\`
+\`/addadmin 用户ID [角色]\`
+
+例如：\`/addadmin 123456789 moderator\`
 
-例如：\`/addadmin 123456789\`
+🎭 可用角色：${this.getRoleNames().join(', ')}（默认 admin）
 
 💡 提示：用户ID可以通过转发用户消息给 @userinfobot 获取`, { parse_mode: 'Markdown' });
                 return;
             }
             
             const newAdminId = args[0].toString();
+            const role = (args[1] || 'admin').toLowerCase();
             
             // 检查是否已经是管理员
             if (this.isAdmin(newAdminId)) {
-                await this.bot.sendMessage(msg.chat.id, `⚠️ 用户 ${newAdminId} 已经是管理员了`);
+                await this.bot.sendMessage(msg.chat.id, `⚠️ 用户 ${newAdminId} 已经是管理员了，如需调整权限请使用 /setrole`);
+                return;
+            }
+            
+            if (!await this.checkRoleChange(msg, role)) {
                 return;
             }
             
@@ -817,6 +876,7 @@ class TelegramBotManager {
             }
             
             this.config.adminUserIds.push(newAdminId);
+            this.roleManager?.setRole('telegram', newAdminId, role);
             
             // 保存配置到文件
             await this.saveConfig();
@@ -829,20 +889,16 @@ class TelegramBotManager {
             
             await this.bot.sendMessage(msg.chat.id, `✅ 成功添加管理员：${newAdminId}
 
-🔧 新管理员现在可以使用所有管理员命令`);
+🎭 角色：${role}（${this.formatPermissions(role)}）`);
             
             // 通知新管理员
             try {
                 await this.bot.sendMessage(newAdminId, `🎉 您已被添加为 Xtream Codes Proxy 机器人的管理员！
 
-🔧 您现在可以使用以下管理员命令：
-• /admin - 管理员面板
-• /refresh - 刷新频道列表
-• /addadmin - 添加管理员
-• /removeadmin - 移除管理员
-• /listadmins - 查看管理员列表
+🎭 您的角色：${role}
+🔧 权限：${this.formatPermissions(role)}
 
-请重新启动与机器人的对话以看到新的命令菜单。`);
+发送 /admin 查看可用的管理员命令。请重新启动与机器人的对话以看到新的命令菜单。`);
             } catch (error) {
                 // 如果是用户还未与机器人开始对话的错误，只记录debug日志
                 if (error.code === 'ETELEGRAM' && 
@@ -891,6 +947,10 @@ class TelegramBotManager {
                 return;
             }
             
+            if (!await this.checkRoleChange(msg, this.getAdminRole(removeAdminId))) {
+                return;
+            }
+            
             // 从管理员列表中移除
             if (this.config.adminUserIds) {
                 this.config.adminUserIds = this.config.adminUserIds.filter(id => id !== removeAdminId);
@@ -902,6 +962,8 @@ class TelegramBotManager {
                 return;
             }
             
+            this.roleManager?.removeRole('telegram', removeAdminId);
+            
             // 保存配置到文件
             await this.saveConfig();
             
@@ -937,6 +999,93 @@ class TelegramBotManager {
         }
     }
     
+    getRoleNames() {
+        return this.roleManager ? Object.keys(this.roleManager.getRoleDefinitions()) : ['owner'];
+    }
+    
+    formatPermissions(role) {
+        const permissions = this.roleManager ? this.roleManager.getPermissions(role) : [];
+        return permissions.length > 0 ? permissions.join(', ') : '无';
+    }
+    
+    // 校验角色存在，且操作者只能授予或调整权限不超过自己的角色
+    async checkRoleChange(msg, role) {
+        // 未分配角色（null）的管理员没有任何权限，任何有manage_admins权限的管理员都可以调整
+        if (!this.roleManager || role === null) {
+            return true;
+        }
+        
+        if (!this.roleManager.isValidRole(role)) {
+            await this.bot.sendMessage(msg.chat.id, `❌ 未知角色：${role}\n\n🎭 可用角色：${this.getRoleNames().join(', ')}`);
+            return false;
+        }
+        
+        const actorRole = this.getAdminRole(msg.from.id);
+        if (!this.roleManager.canManage(actorRole, role)) {
+            await this.bot.sendMessage(msg.chat.id, `❌ 您的角色（${actorRole}）不能管理权限更高的角色（${role}）`);
+            return false;
+        }
+        return true;
+    }
+    
+    async handleSetRole(msg, args) {
+        try {
+            if (args.length < 2) {
+                const roles = Object.entries(this.roleManager?.getRoleDefinitions() || {})
+                    .map(([role, permissions]) => `• ${role}：${permissions.join(', ') || '无'}`)
+                    .join('\n');
+                
+                await this.bot.sendMessage(msg.chat.id, `❓ 请提供管理员用户ID和角色
+
+📝 使用方法：/setrole 用户ID 角色
+例如：/setrole 123456789 support
+
+🎭 可用角色：
+${roles}`);
+                return;
+            }
+            
+            if (!this.roleManager) {
+                await this.bot.sendMessage(msg.chat.id, '❌ 角色管理不可用');
+                return;
+            }
+            
+            const targetId = args[0].toString();
+            const role = args[1].toLowerCase();
+            
+            if (targetId === msg.from.id.toString()) {
+                await this.bot.sendMessage(msg.chat.id, '❌ 您不能修改自己的角色');
+                return;
+            }
+            if (!this.isAdmin(targetId)) {
+                await this.bot.sendMessage(msg.chat.id, `⚠️ 用户 ${targetId} 不是管理员，请先使用 /addadmin 添加`);
+                return;
+            }
+            if (!await this.checkRoleChange(msg, this.getAdminRole(targetId)) || !await this.checkRoleChange(msg, role)) {
+                return;
+            }
+            
+            this.roleManager.setRole('telegram', targetId, role);
+            await this.setupAdminCommands(targetId);
+            
+            await this.bot.sendMessage(msg.chat.id, `✅ 管理员 ${targetId} 的角色已设置为 ${role}
+
+🔧 权限：${this.formatPermissions(role)}`);
+            
+            try {
+                await this.bot.sendMessage(targetId, `🎭 您的管理员角色已变更为 ${role}\n🔧 权限：${this.formatPermissions(role)}`);
+            } catch (error) {
+                this.logger.debug(`无法通知管理员 ${targetId} 角色变更:`, error.message);
+            }
+            
+            this.logger.info(`管理员 ${msg.from.id} 将管理员 ${targetId} 的角色设置为 ${role}`);
+            
+        } catch (error) {
+            this.logger.error('设置管理员角色失败:', error);
+            await this.bot.sendMessage(msg.chat.id, `❌ 设置角色失败：${error.message}`);
+        }
+    }
+    
     async handleListAdmins(msg) {
         try {
             const adminIds = this.getAllAdminIds();
@@ -968,6 +1117,8 @@ class TelegramBotManager {
                     this.logger.debug(`无法获取管理员 ${adminId} 的信息:`, error);
                 }
                 
+                adminInfo += ` [${this.getAdminRole(adminId) || '未分配'}]`;
+                
                 // 标记主管理员
                 if (adminId === this.config.adminUserId) {
                     adminInfo += ` 👑 (主管理员)`;
@@ -987,19 +1138,23 @@ class TelegramBotManager {
     
     async setupAdminCommands(adminId) {
         try {
+            // 只显示该管理员角色有权限使用的命令
             const adminCommands = [
                 { command: 'start', description: '开始使用机器人' },
                 { command: 'help', description: '显示帮助信息' },
                 { command: 'gettoken', description: '获取访问令牌' },
                 { command: 'mycredentials', description: '查看我的凭据' },
-                { command: 'status', description: '查看服务器状态' },
-                { command: 'refresh', description: '刷新频道列表' },
+                { command: 'status', description: '查看服务器状态', permission: 'view_logs' },
+                { command: 'refresh', description: '刷新频道列表', permission: 'change_sources' },
                 { command: 'admin', description: '管理员面板' },
-                { command: 'addadmin', description: '添加管理员' },
-                { command: 'removeadmin', description: '移除管理员' },
-                { command: 'listadmins', description: '查看管理员列表' },
-                { command: 'changem3u', description: '修改M3U订阅链接' }
-            ];
+                { command: 'addadmin', description: '添加管理员', permission: 'manage_admins' },
+                { command: 'removeadmin', description: '移除管理员', permission: 'manage_admins' },
+                { command: 'setrole', description: '设置管理员角色', permission: 'manage_admins' },
+                { command: 'listadmins', description: '查看管理员列表', permission: 'view_logs' },
+                { command: 'changem3u', description: '修改M3U订阅链接', permission: 'change_sources' }
+            ]
+                .filter(item => !item.permission || this.hasPermission(adminId, item.permission))
+                .map(({ command, description }) => ({ command, description }));
             
             await this.bot.setMyCommands(adminCommands, {
                 scope: { 
@@ -1047,23 +1202,12 @@ class TelegramBotManager {
         }
     }
     
+    // 通过ConfigManager保存完整配置（原子写入并备份）；reloadConfig后this.config是新对象，先放回完整配置中
     async saveConfig() {
-        const fs = require('fs').promises;
-        const path = require('path');
-        
         try {
-            const configPath = path.join(__dirname, '../../config.json');
-            const configData = {
-                server: this.serverConfig,
-                originalServer: this.userManager.config.originalServer,
-                telegram: this.config,
-                users: this.userManager.config.users,
-                security: this.userManager.config.security,
-                features: this.userManager.config.features,
-                playlist: this.userManager.config.playlist
-            };
-            
-            await fs.writeFile(configPath, JSON.stringify(configData, null, 2));
+            const config = this.configManager.getConfig();
+            config.telegram = this.config;
+            this.configManager.saveConfig();
             this.logger.info('配置文件已保存');
         } catch (error) {
             this.logger.error('保存配置文件失败:', error);
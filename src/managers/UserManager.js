@@ -1,12 +1,16 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const PasswordHasher = require('../utils/PasswordHasher');
+
+// 错误密码的缓存时间和每个用户最多缓存的错误密码数，避免使用旧密码的客户端反复触发scrypt
+const INVALID_PASSWORD_TTL = 10 * 60 * 1000;
+const MAX_INVALID_PASSWORDS = 5;
 
 class UserManager {
-    constructor(config, logger) {
+    constructor(config, logger, storage) {
         this.config = config;
         this.logger = logger;
+        this.storage = storage;
         
         this.users = {};
         this.telegramUsers = new Map();
@@ -21,25 +25,21 @@ class UserManager {
         this.activeStreams = new Map();    // 活跃流追踪
         this.streamConnections = new Map(); // 流连接计数
         
-        this.dataDir = path.join(__dirname, '../../data');
-        this.usersFile = path.join(this.dataDir, 'users.json');
-        this.playlistsFile = path.join(this.dataDir, 'playlists.json');
-        this.limitsFile = path.join(this.dataDir, 'user-limits.json');
-        
         this.encryptionKey = this.generateEncryptionKey();
-        this.channelManager = null;
+        this.passwordHasher = new PasswordHasher();
         
-        this.ensureDataDirectory();
-    }
-
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+        // 密码校验缓存：username -> { passwordHash, valid, invalid: Map(摘要 -> 时间), pending, queue, failures }
+        // 只保存以进程随机密钥计算的HMAC摘要，不保存明文
+        this.passwordCache = new Map();
+        this.passwordCacheKey = crypto.randomBytes(32);
+        
+        this.channelManager = null;
+        this.packageManager = null;
     }
 
     async initialize() {
         this.loadUsers();
+        await this.migratePlaintextPasswords();
         this.loadPersistentData();
         this.loadUserLimits();
         this.logger.info('✅ UserManager initialized');
@@ -47,8 +47,8 @@ class UserManager {
 
     loadUsers() {
         try {
-            if (fs.existsSync(this.usersFile)) {
-                const data = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+            const data = this.storage.get('users');
+            if (data) {
                 this.users = data;
                 this.logger.info(`Loaded ${Object.keys(this.users).length} users`);
             }
@@ -57,11 +57,31 @@ class UserManager {
         }
     }
 
+    // 将旧版本以明文保存的密码转换为哈希，迁移完成前明文密码仍可登录
+    async migratePlaintextPasswords() {
+        const pending = Object.entries(this.users).filter(([, user]) => typeof user.password === 'string' && !user.passwordHash);
+        if (pending.length === 0) {
+            return;
+        }
+        
+        this.logger.info(`Migrating ${pending.length} plaintext passwords to hashes...`);
+        for (const [username, user] of pending) {
+            const passwordHash = await this.passwordHasher.hash(user.password);
+            // 迁移期间密码可能已被修改
+            if (this.users[username] === user && !user.passwordHash) {
+                user.passwordHash = passwordHash;
+                delete user.password;
+            }
+        }
+        
+        this.saveUsers();
+        this.logger.info(`Migrated ${pending.length} plaintext passwords`);
+    }
+
     loadPersistentData() {
         try {
-            if (fs.existsSync(this.playlistsFile)) {
-                const data = JSON.parse(fs.readFileSync(this.playlistsFile, 'utf8'));
-                
+            const data = this.storage.get('playlists');
+            if (data) {
                 if (data.persistentPlaylists) {
                     this.persistentPlaylists = new Map(Object.entries(data.persistentPlaylists));
                 }
@@ -79,9 +99,8 @@ class UserManager {
 
     loadUserLimits() {
         try {
-            if (fs.existsSync(this.limitsFile)) {
-                const data = JSON.parse(fs.readFileSync(this.limitsFile, 'utf8'));
-                
+            const data = this.storage.get('user-limits');
+            if (data) {
                 if (data.hourlyLimits) {
                     this.userHourlyLimits = new Map(Object.entries(data.hourlyLimits));
                 }
@@ -92,6 +111,11 @@ class UserManager {
                 
                 if (data.activeStreams) {
                     this.activeStreams = new Map(Object.entries(data.activeStreams));
+                    
+                    // 重启后中继连接已全部断开
+                    for (const stream of this.activeStreams.values()) {
+                        delete stream.openConnections;
+                    }
                 }
                 
                 this.logger.info(`Loaded user limits data`);
@@ -103,38 +127,29 @@ class UserManager {
 
     saveUsers() {
         try {
-            fs.writeFileSync(this.usersFile, JSON.stringify(this.users, null, 2));
+            this.storage.set('users', this.users);
         } catch (error) {
             this.logger.error('Error saving users:', error);
         }
     }
 
+    // 播放列表和使用限制在每次请求时都会变化，合并后延迟写入
     savePersistentData() {
-        try {
-            const data = {
-                persistentPlaylists: Object.fromEntries(this.persistentPlaylists),
-                userPlaylistHistory: Object.fromEntries(this.userPlaylistHistory)
-            };
-            fs.writeFileSync(this.playlistsFile, JSON.stringify(data, null, 2));
-        } catch (error) {
-            this.logger.error('Error saving persistent data:', error);
-        }
+        this.storage.scheduleSave('playlists', () => ({
+            persistentPlaylists: Object.fromEntries(this.persistentPlaylists),
+            userPlaylistHistory: Object.fromEntries(this.userPlaylistHistory)
+        }));
     }
 
     saveUserLimits() {
-        try {
-            const data = {
-                hourlyLimits: Object.fromEntries(this.userHourlyLimits),
-                dailyLimits: Object.fromEntries(this.userDailyLimits),
-                activeStreams: Object.fromEntries(this.activeStreams)
-            };
-            fs.writeFileSync(this.limitsFile, JSON.stringify(data, null, 2));
-        } catch (error) {
-            this.logger.error('Error saving user limits:', error);
-        }
+        this.storage.scheduleSave('user-limits', () => ({
+            hourlyLimits: Object.fromEntries(this.userHourlyLimits),
+            dailyLimits: Object.fromEntries(this.userDailyLimits),
+            activeStreams: Object.fromEntries(this.activeStreams)
+        }));
     }
 
-    authenticateUser(username, password) {
+    async authenticateUser(username, password) {
         const user = this.users[username];
         
         if (!user) {
@@ -156,7 +171,7 @@ class UserManager {
             return false;
         }
         
-        if (user.password !== password) {
+        if (!await this.verifyUserPassword(username, user, password)) {
             this.logger.warn(`Authentication failed: Invalid password for user ${username}`);
             return false;
         }
@@ -165,9 +180,140 @@ class UserManager {
         return true;
     }
 
-    createUser(username, password, options = {}) {
+    getPasswordDigest(password) {
+        return crypto.createHmac('sha256', this.passwordCacheKey).update(password).digest();
+    }
+
+    // 校验用户密码：缓存命中时只需一次HMAC，未命中时才在线程池中计算scrypt；修改密码后哈希变化，缓存自动失效
+    async verifyUserPassword(username, user, password) {
+        if (typeof password !== 'string' || password === '') {
+            return false;
+        }
+        
+        const digest = this.getPasswordDigest(password);
+        
+        // 尚未迁移的明文密码
+        if (!user.passwordHash) {
+            return typeof user.password === 'string' && crypto.timingSafeEqual(this.getPasswordDigest(user.password), digest);
+        }
+        
+        let entry = this.passwordCache.get(username);
+        if (!entry || entry.passwordHash !== user.passwordHash) {
+            entry = { passwordHash: user.passwordHash, valid: null, invalid: new Map(), pending: new Map(), queue: Promise.resolve() };
+            this.passwordCache.set(username, entry);
+        }
+        
+        const cached = this.getCachedResult(entry, digest);
+        if (cached !== null) {
+            return cached;
+        }
+        
+        // 同一密码的并发请求共用一次计算；同一用户的不同密码依次计算，每个用户同时只占用一个线程池线程。
+        // 不按用户名限制失败次数（任何人都能借此把用户锁在外面），逐个尝试密码由SecurityManager按IP限速
+        const key = digest.toString('hex');
+        if (!entry.pending.has(key)) {
+            const result = entry.queue.then(() => this.checkPasswordHash(username, entry, digest, password));
+            entry.queue = result.catch(() => {});
+            entry.pending.set(key, result.finally(() => entry.pending.delete(key)));
+        }
+        return entry.pending.get(key);
+    }
+
+    // 缓存中有结果时返回true/false，否则返回null
+    getCachedResult(entry, digest) {
+        if (entry.valid && crypto.timingSafeEqual(entry.valid, digest)) {
+            return true;
+        }
+        
+        const failedAt = entry.invalid.get(digest.toString('hex'));
+        if (failedAt && Date.now() - failedAt < INVALID_PASSWORD_TTL) {
+            return false;
+        }
+        return null;
+    }
+
+    async checkPasswordHash(username, entry, digest, password) {
+        // 排队期间可能已有相同结果写入缓存
+        const cached = this.getCachedResult(entry, digest);
+        if (cached !== null) {
+            return cached;
+        }
+        
+        // 保存的哈希格式有误时scrypt会抛出异常，按校验失败处理
+        let valid = false;
+        try {
+            valid = await this.passwordHasher.verify(password, entry.passwordHash);
+        } catch (error) {
+            this.logger.error(`Password hash of user ${username} cannot be verified: ${error.message}`);
+        }
+        
+        if (valid) {
+            entry.valid = digest;
+            entry.invalid.clear();
+            return true;
+        }
+        
+        const key = digest.toString('hex');
+        entry.invalid.delete(key);
+        if (entry.invalid.size >= MAX_INVALID_PASSWORDS) {
+            entry.invalid.delete(entry.invalid.keys().next().value);
+        }
+        entry.invalid.set(key, Date.now());
+        return false;
+    }
+
+    generateUserPassword(length = 12) {
+        const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.randomBytes(length);
+        return Array.from(bytes, byte => chars[byte % chars.length]).join('');
+    }
+
+    async setPassword(username, password) {
+        if (!this.users[username]) {
+            throw new Error('User not found');
+        }
+        if (typeof password !== 'string' || password === '') {
+            throw new Error('Password is required');
+        }
+        
+        // 在线程池中计算哈希，不阻塞事件循环；计算期间用户可能已被删除
+        const passwordHash = await this.passwordHasher.hash(password);
+        if (!this.users[username]) {
+            throw new Error('User not found');
+        }
+        
+        this.users[username].passwordHash = passwordHash;
+        delete this.users[username].password;
+        this.passwordCache.delete(username);
+        this.saveUsers();
+        
+        this.logger.info(`Password changed for user ${username}`);
+    }
+
+    // 生成新的随机密码，明文只在返回值中出现一次
+    async resetPassword(username) {
+        const password = this.generateUserPassword();
+        await this.setPassword(username, password);
+        return password;
+    }
+
+    // 返回不含密码哈希的用户信息
+    getPublicUser(username) {
+        const user = this.users[username];
+        if (!user) {
+            return null;
+        }
+        const { password, passwordHash, ...info } = user;
+        return info;
+    }
+
+    async createUser(username, password, options = {}) {
+        if (typeof password !== 'string' || password === '') {
+            throw new Error('Password is required');
+        }
+        
         const user = {
-            password: password,
+            passwordHash: await this.passwordHasher.hash(password),
             enabled: true,
             createdAt: Date.now(),
             lastLogin: null,
@@ -175,6 +321,7 @@ class UserManager {
         };
         
         this.users[username] = user;
+        this.passwordCache.delete(username);
         this.saveUsers();
         
         this.logger.info(`User ${username} created successfully`);
@@ -186,7 +333,9 @@ class UserManager {
             throw new Error('User not found');
         }
         
-        this.users[username] = { ...this.users[username], ...updates };
+        // 密码只能通过setPassword以哈希形式保存
+        const { password, passwordHash, ...fields } = updates;
+        this.users[username] = { ...this.users[username], ...fields };
         this.saveUsers();
         
         this.logger.info(`User ${username} updated successfully`);
@@ -199,15 +348,16 @@ class UserManager {
         }
         
         delete this.users[username];
+        this.passwordCache.delete(username);
         this.saveUsers();
         
         this.logger.info(`User ${username} deleted successfully`);
         return true;
     }
 
-    createTelegramUser(username, password, telegramUserId) {
+    async createTelegramUser(username, password, telegramUserId) {
         const expiryTime = Date.now() + (this.config.playlist?.userLinkExpiry || 86400000); // 24小时后过期
-        const user = this.createUser(username, password, {
+        const user = await this.createUser(username, password, {
             telegramUserId: telegramUserId,
             source: 'telegram',
             expiryTime: expiryTime,
@@ -349,6 +499,41 @@ class UserManager {
         }
     }
 
+    // 中继模式：记录会话上新打开的连接
+    attachStreamConnection(streamSessionId) {
+        const stream = this.activeStreams.get(streamSessionId);
+        if (!stream) {
+            return false;
+        }
+
+        stream.openConnections = (stream.openConnections || 0) + 1;
+        stream.lastActivity = Date.now();
+        return true;
+    }
+
+    // 中继模式：更新会话活跃时间
+    touchStreamSession(streamSessionId) {
+        const stream = this.activeStreams.get(streamSessionId);
+        if (stream) {
+            stream.lastActivity = Date.now();
+        }
+    }
+
+    // 中继模式：连接关闭，最后一个连接关闭时移除会话
+    releaseStreamConnection(streamSessionId) {
+        const stream = this.activeStreams.get(streamSessionId);
+        if (!stream) {
+            return;
+        }
+
+        stream.openConnections = Math.max(0, (stream.openConnections || 1) - 1);
+        if (stream.openConnections > 0) {
+            return;
+        }
+
+        this.removeStreamConnection(stream.username, stream.channelId, stream.clientIP);
+    }
+
     // 移除流连接
     removeStreamConnection(username, channelId, clientIP) {
         const streamKey = `${username}:${channelId}`;
@@ -387,7 +572,7 @@ class UserManager {
         try {
             console.log(`📋 ${username} 请求播放列表 (${type})`);
             
-            if (!this.authenticateUser(username, password)) {
+            if (!await this.authenticateUser(username, password)) {
                 console.log(`❌ ${username} 认证失败`);
                 throw new Error('Authentication failed');
             }
@@ -412,7 +597,7 @@ class UserManager {
             this.logger.info(`Generating ${type} playlist for user ${username} with ${channels.length} channels`);
             
             if (type === 'm3u_plus') {
-                return this.buildM3UPlusPlaylist(channels, username, clientIP);
+                return this.buildM3UPlusPlaylist(channels, username, clientIP, password);
             } else {
                 return this.buildM3UPlaylist(channels, username, clientIP);
             }
@@ -427,46 +612,114 @@ class UserManager {
         this.channelManager = channelManager;
     }
 
+    setPackageManager(packageManager) {
+        this.packageManager = packageManager;
+    }
+
+    // 获取用户的频道套餐，未单独分配时使用默认套餐
+    getUserPackages(username) {
+        const user = this.users[username];
+        if (user && Array.isArray(user.packages)) {
+            return user.packages;
+        }
+        return this.config.packages?.defaultPackages || [];
+    }
+
     async getChannelsForUser(username) {
         if (!this.channelManager) {
             return [];
         }
-        return this.channelManager.getChannelsForUser(username);
+        return this.channelManager.getChannelsForUser(username, this.getUserPackages(username));
+    }
+
+    // 检查用户是否可以观看指定频道（防止通过猜测stream ID越权播放）
+    canAccessChannel(username, channel) {
+        if (!this.channelManager || !channel) {
+            return false;
+        }
+        return this.channelManager.isChannelAllowedForUser(channel, this.getUserPackages(username));
+    }
+
+    assignPackages(username, packageNames) {
+        if (!this.users[username]) {
+            throw new Error('User not found');
+        }
+
+        if (this.packageManager) {
+            const unknown = packageNames.filter(name => !this.packageManager.getPackage(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown packages: ${unknown.join(', ')}`);
+            }
+        }
+
+        return this.updateUser(username, { packages: packageNames });
     }
 
     buildM3UPlaylist(channels, username, clientIP) {
+        const serverUrl = this.getServerUrl();
         let playlist = '#EXTM3U\n';
         
         channels.forEach(channel => {
             // 生成加密的频道链接
             const encryptedUrl = this.generateEncryptedChannelUrl(channel.url, username, channel.id, clientIP);
             
-            playlist += `#EXTINF:-1 tvg-id="${channel.id}" tvg-name="${channel.name}" tvg-logo="${channel.logo}" group-title="${channel.category}",${channel.name}\n`;
+            playlist += `#EXTINF:-1 tvg-id="${channel.id}" tvg-name="${channel.name}" tvg-logo="${this.channelManager.getLogoUrl(channel, serverUrl)}" group-title="${channel.category}" tvg-chno="${this.channelManager.getChannelNumber(channel)}",${channel.name}\n`;
             playlist += `${encryptedUrl}\n`;
         });
         
         return playlist;
     }
 
-    buildM3UPlusPlaylist(channels, username, clientIP) {
+    buildM3UPlusPlaylist(channels, username, clientIP, password) {
         const serverUrl = this.getServerUrl();
-        let playlist = `#EXTM3U x-tvg-url="${serverUrl}/xmltv.php"\n`;
+        const m3uParser = this.channelManager.m3uParser;
+        // 节目单地址带上凭据（Xtream惯例）：启用套餐后 /xmltv.php 拒绝匿名请求
+        const xmltvUrl = `${serverUrl}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
+        const header = m3uParser.serializeAttributes({
+            ...this.channelManager.getPlaylistHeader(),
+            'x-tvg-url': xmltvUrl
+        });
+        let playlist = `#EXTM3U ${header}\n`;
         
         channels.forEach(channel => {
             // 生成加密的频道链接
             const encryptedUrl = this.generateEncryptedChannelUrl(channel.url, username, channel.id, clientIP);
             
-            const extinf = `#EXTINF:-1`;
-            const attributes = [
-                `tvg-id="${channel.tvgId || channel.id}"`,
-                `tvg-name="${channel.tvgName || channel.name}"`,
-                `tvg-logo="${channel.logo || ''}"`,
-                `group-title="${channel.category || 'General'}"`,
-                `tvg-chno="${channel.number || channel.id}"`,
-                `tvg-shift="${channel.timeshift || 0}"`
-            ];
+            // 保留上游的全部属性，catchup-source包含上游地址，不透传给客户端
+            const attributes = { ...(channel.attributes || {}) };
+            delete attributes['catchup-source'];
+            
+            Object.assign(attributes, {
+                'tvg-id': channel.tvgId || channel.id,
+                'tvg-name': channel.tvgName || channel.name,
+                'tvg-logo': this.channelManager.getLogoUrl(channel, serverUrl),
+                'group-title': channel.category || 'General',
+                'tvg-chno': this.channelManager.getChannelNumber(channel)
+            });
+            
+            // 只有上游指定了时区偏移时才输出tvg-shift
+            if (channel.timeshift) {
+                attributes['tvg-shift'] = channel.timeshift;
+            }
+            
+            // 支持回看的频道改为通过代理的回看地址播放
+            const catchup = this.channelManager.getCatchupInfo(channel);
+            if (catchup) {
+                Object.assign(attributes, {
+                    'catchup': 'default',
+                    'catchup-days': catchup.days,
+                    'catchup-source': this.generateCatchupSource(username, channel.id)
+                });
+            }
+            
+            const duration = channel.duration ?? -1;
+            playlist += `#EXTINF:${duration} ${m3uParser.serializeAttributes(attributes)},${channel.name}\n`;
+            
+            // 透传播放器选项（User-Agent、Referrer等）
+            for (const directive of channel.directives || []) {
+                playlist += `${directive}\n`;
+            }
             
-            playlist += `${extinf} ${attributes.join(' ')},${channel.name}\n`;
             playlist += `${encryptedUrl}\n`;
         });
         
@@ -481,6 +734,13 @@ class UserManager {
         return encryptedUrl;
     }
 
+    // 生成回看地址模板，{utc}和{duration}由播放器替换
+    generateCatchupSource(username, channelId) {
+        const serverUrl = this.getServerUrl();
+        const encryptedToken = this.encryptChannelUrl('', username, channelId, 120, { catchup: true });
+        return `${serverUrl}/timeshift/encrypted/${encryptedToken}?username=${username}&utc={utc}&duration={duration}`;
+    }
+
     generateEncryptionKey() {
         // 生成一个固定的32字节密钥
         if (!this.encryptionKeyBuffer) {
@@ -491,8 +751,9 @@ class UserManager {
     }
 
     // 修改加密函数，移除clientIP参数
-    encryptChannelUrl(originalUrl, username, channelId, expiryMinutes = 120) {
+    encryptChannelUrl(originalUrl, username, channelId, expiryMinutes = 120, extra = {}) {
         const payload = {
+            ...extra,
             url: originalUrl,
             username: username,
             channelId: channelId,
@@ -763,9 +1024,13 @@ class UserManager {
     }
 
     async gracefulShutdown() {
-        this.saveUsers();
-        this.savePersistentData();
-        this.saveUserLimits();
+        this.storage.transaction(() => {
+            this.saveUsers();
+            this.savePersistentData();
+            this.saveUserLimits();
+            this.storage.flush('playlists');
+            this.storage.flush('user-limits');
+        });
         this.logger.info('✅ UserManager shutdown completed');
     }
 
@@ -1,8 +1,53 @@
+const net = require('net');
+
+// /admin 子命令所需的权限（未列出的子命令所有管理员都可使用）
+const SUBCOMMAND_PERMISSIONS = {
+    stats: 'view_logs',
+    users: 'view_logs',
+    cleanup: 'manage_users',
+    changem3u: 'change_sources',
+    health: 'view_logs',
+    blocked: 'view_logs',
+    block: 'block_ips',
+    unblock: 'block_ips'
+};
+
 class AdminHandler {
     constructor(config, userManager, logger) {
         this.config = config;
         this.userManager = userManager;
         this.logger = logger;
+        this.adminAuth = null;
+        this.roleManager = null;
+        this.securityManager = null;
+    }
+    
+    setAdminAuth(adminAuth) {
+        this.adminAuth = adminAuth;
+    }
+    
+    setRoleManager(roleManager) {
+        this.roleManager = roleManager;
+    }
+    
+    setSecurityManager(securityManager) {
+        this.securityManager = securityManager;
+    }
+    
+    getRole(userId) {
+        return this.roleManager ? this.roleManager.getRole('telegram', userId) : 'owner';
+    }
+    
+    hasPermission(userId, permission) {
+        return !this.roleManager || this.roleManager.hasPermission(this.getRole(userId), permission);
+    }
+    
+    // 立即检测会对所有频道发起请求，需要修改源的权限
+    getSubCommandPermission(subCommand, args) {
+        if (subCommand === 'health' && args[0] === 'check') {
+            return 'change_sources';
+        }
+        return SUBCOMMAND_PERMISSIONS[subCommand] || null;
     }
     
     async handleAdminCommand(msg, bot, args) {
@@ -12,6 +57,11 @@ class AdminHandler {
         }
         
         const subCommand = args[0].toLowerCase();
+        const permission = this.getSubCommandPermission(subCommand, args.slice(1));
+        if (permission && !this.hasPermission(msg.from.id, permission)) {
+            await bot.sendMessage(msg.chat.id, `❌ 您的角色（${this.getRole(msg.from.id) || '未分配'}）没有此操作的权限（${permission}）`);
+            return;
+        }
         
         switch (subCommand) {
             case 'stats':
@@ -26,22 +76,53 @@ class AdminHandler {
             case 'changem3u':
                 await this.handleChangeM3U(msg, bot, args.slice(1));
                 break;
+            case 'health':
+                await this.handleHealth(msg, bot, args.slice(1));
+                break;
+            case 'weblogin':
+                await this.handleWebLogin(msg, bot);
+                break;
+            case 'blocked':
+                await this.handleBlockedList(msg, bot);
+                break;
+            case 'block':
+                await this.handleBlockIP(msg, bot, args.slice(1));
+                break;
+            case 'unblock':
+                await this.handleUnblockIP(msg, bot, args.slice(1));
+                break;
             default:
                 await this.showAdminHelp(msg, bot);
         }
     }
     
+    // 只列出当前角色有权限使用的命令
     async showAdminHelp(msg, bot) {
-        const help = `🔧 管理员命令帮助：
+        const commands = [
+            ['/admin stats - 查看系统统计', 'view_logs'],
+            ['/admin users - 查看用户列表', 'view_logs'],
+            ['/admin cleanup - 清理过期数据', 'manage_users'],
+            ['/admin health - 查看频道健康检测结果', 'view_logs'],
+            ['/admin health check - 立即检测所有频道', 'change_sources'],
+            ['/admin blocked - 查看已封禁的IP', 'view_logs'],
+            ['/admin block <IP> [原因] - 封禁IP', 'block_ips'],
+            ['/admin unblock <IP> - 解除IP封禁', 'block_ips'],
+            ['/admin weblogin - 获取管理面板一次性登录链接', null],
+            ['/changem3u <新的M3U链接> - 修改M3U订阅链接', 'change_sources'],
+            ['/setrole <用户ID> <角色> - 设置管理员角色', 'manage_admins']
+        ];
+        
+        const role = this.getRole(msg.from.id) || '未分配';
+        const lines = commands
+            .filter(([, permission]) => !permission || this.hasPermission(msg.from.id, permission))
+            .map(([line]) => `• ${line}`);
+        
+        const help = `🔧 管理员命令帮助（角色：${role}）：
 
-• /admin stats - 查看系统统计
-• /admin users - 查看用户列表
-• /admin cleanup - 清理过期数据
-• /changem3u <新的M3U链接> - 修改M3U订阅链接
+${lines.join('\n')}
 
 使用示例：
-• /admin stats
-• /changem3u https://example.com/playlist.m3u`;
+• /admin stats`;
         
         await bot.sendMessage(msg.chat.id, help);
     }
@@ -98,6 +179,137 @@ class AdminHandler {
         }
     }
     
+    async handleHealth(msg, bot, args) {
+        const channelManager = this.userManager.channelManager;
+        if (!channelManager || !channelManager.healthManager) {
+            await bot.sendMessage(msg.chat.id, '❌ 频道管理器不可用');
+            return;
+        }
+        
+        if (args[0] === 'check') {
+            if (channelManager.healthManager.running) {
+                await bot.sendMessage(msg.chat.id, '⏳ 健康检测正在进行中，请稍后查看结果');
+                return;
+            }
+            
+            await bot.sendMessage(msg.chat.id, `🔍 正在检测 ${channelManager.getChannelCount()} 个频道，完成后会通知您...`);
+            const result = await channelManager.runHealthCheck();
+            if (!result) {
+                await bot.sendMessage(msg.chat.id, '⚠️ 当前没有可检测的频道');
+                return;
+            }
+            await bot.sendMessage(msg.chat.id, `✅ 健康检测完成：${result.checked - result.down}/${result.checked} 个频道可用，耗时 ${Math.round(result.duration / 1000)} 秒`);
+            return;
+        }
+        
+        const report = channelManager.getHealthReport('down');
+        const lastRun = report.lastRun ? new Date(report.lastRun.startedAt).toLocaleString() : '本次启动后未运行';
+        
+        let message = `🩺 频道健康检测：
+
+• 已检测：${report.checked}
+• ✅ 可用：${report.up}
+• ❌ 不可用：${report.down}
+• 🙈 已隐藏：${report.hidden}
+• ⏰ 上次检测：${lastRun}${report.running ? '（检测中）' : ''}`;
+        
+        if (report.channels.length > 0) {
+            message += '\n\n不可用的频道：\n';
+            message += report.channels.slice(0, 20).map(channel => {
+                const since = channel.downSince ? new Date(channel.downSince).toLocaleString() : '';
+                return `• [${channel.id}] ${channel.name}：${channel.error}${since ? `（自 ${since}）` : ''}`;
+            }).join('\n');
+            if (report.channels.length > 20) {
+                message += `\n…… 另有 ${report.channels.length - 20} 个`;
+            }
+        }
+        
+        const chunks = message.length > 4000 ? this.splitMessage(message, 4000) : [message];
+        for (const chunk of chunks) {
+            await bot.sendMessage(msg.chat.id, chunk);
+        }
+    }
+    
+    // 生成管理面板的一次性登录链接，只在私聊中发送
+    async handleWebLogin(msg, bot) {
+        if (!this.adminAuth) {
+            await bot.sendMessage(msg.chat.id, '❌ 管理面板认证不可用');
+            return;
+        }
+        
+        try {
+            const { code, expiresAt } = this.adminAuth.createTelegramLoginCode(msg.from.id);
+            const minutes = Math.round((expiresAt - Date.now()) / 60000);
+            const link = `${this.userManager.getServerUrl()}/admin/login/telegram?code=${code}`;
+            
+            await bot.sendMessage(msg.chat.id, `🔐 管理面板登录链接（${minutes}分钟内有效，只能使用一次）：
+
+${link}
+
+⚠️ 请勿将此链接转发给他人。`, { disable_web_page_preview: true });
+            this.logger.info(`管理员 ${msg.from.id} 获取了管理面板登录链接`);
+        } catch (error) {
+            await bot.sendMessage(msg.chat.id, `❌ 无法生成登录链接：${error.message}`);
+        }
+    }
+    
+    async handleBlockedList(msg, bot) {
+        if (!this.securityManager) {
+            await bot.sendMessage(msg.chat.id, '❌ 安全管理器不可用');
+            return;
+        }
+        
+        const blockedIPs = this.securityManager.getBlockedIPs();
+        if (blockedIPs.length === 0) {
+            await bot.sendMessage(msg.chat.id, '📝 当前没有被封禁的IP');
+            return;
+        }
+        
+        const message = `🚫 已封禁的IP（${blockedIPs.length}）：\n\n${blockedIPs.map(ip => `• ${ip}`).join('\n')}`;
+        const chunks = message.length > 4000 ? this.splitMessage(message, 4000) : [message];
+        for (const chunk of chunks) {
+            await bot.sendMessage(msg.chat.id, chunk);
+        }
+    }
+    
+    async handleBlockIP(msg, bot, args) {
+        if (!this.securityManager) {
+            await bot.sendMessage(msg.chat.id, '❌ 安全管理器不可用');
+            return;
+        }
+        
+        const ip = (args[0] || '').trim();
+        if (!net.isIP(ip)) {
+            await bot.sendMessage(msg.chat.id, '❓ 请提供有效的IP地址\n\n📝 使用方法：/admin block <IP> [原因]');
+            return;
+        }
+        
+        const reason = args.slice(1).join(' ') || `Blocked by Telegram admin ${msg.from.id}`;
+        this.securityManager.blockIP(ip, reason);
+        await bot.sendMessage(msg.chat.id, `🚫 已封禁IP：${ip}`);
+        this.logger.info(`管理员 ${msg.from.id} 封禁了IP ${ip}`);
+    }
+    
+    async handleUnblockIP(msg, bot, args) {
+        if (!this.securityManager) {
+            await bot.sendMessage(msg.chat.id, '❌ 安全管理器不可用');
+            return;
+        }
+        
+        const ip = (args[0] || '').trim();
+        if (!ip) {
+            await bot.sendMessage(msg.chat.id, '❓ 请提供要解除封禁的IP地址\n\n📝 使用方法：/admin unblock <IP>');
+            return;
+        }
+        
+        if (this.securityManager.unblockIP(ip)) {
+            await bot.sendMessage(msg.chat.id, `✅ 已解除IP封禁：${ip}`);
+            this.logger.info(`管理员 ${msg.from.id} 解除了IP ${ip} 的封禁`);
+        } else {
+            await bot.sendMessage(msg.chat.id, `⚠️ IP ${ip} 未被封禁`);
+        }
+    }
+    
     async handleCleanup(msg, bot) {
         await bot.sendMessage(msg.chat.id, '🧹 正在清理过期数据...');
         
@@ -167,11 +379,25 @@ class AdminHandler {
             
             // 刷新频道列表
             if (this.userManager.channelManager && this.userManager.channelManager.refreshChannels) {
-                await this.userManager.channelManager.refreshChannels();
+                const result = await this.userManager.channelManager.refreshChannels({ trigger: 'telegram' });
                 
                 const channelCount = this.userManager.channelManager.getChannelCount ? 
                     this.userManager.channelManager.getChannelCount() : '未知';
                 
+                // 新链接已保存，但刷新失败或新目录未通过校验，频道列表保持不变
+                if (!result.success) {
+                    await bot.sendMessage(msg.chat.id, `⚠️ **M3U订阅链接已更新，但频道列表刷新失败**
+
+📺 **新链接**：\`${newUrl}\`
+❌ **原因**：${result.message}
+📊 **继续使用原有频道列表**：${channelCount}个频道
+
+💡 请检查新链接是否正确，可以使用 /changem3u 改回旧链接：\`${oldUrl}\``, { parse_mode: 'Markdown' });
+                    
+                    this.logger.warn(`管理员 ${msg.from.id} 更新了M3U链接，但刷新失败: ${result.message}`);
+                    return;
+                }
+                
                 await bot.sendMessage(msg.chat.id, `✅ **M3U订阅链接更新成功！**
 
 📺 **新链接**：\`${newUrl}\`
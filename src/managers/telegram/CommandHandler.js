@@ -49,6 +49,7 @@ class CommandHandler {
 • /help - 显示此帮助信息
 • /gettoken - 获取临时访问令牌
 • /mycredentials - 查看我的登录凭据
+• /mycredentials reset - 重置密码并获取新链接
 • /revoke - 撤销访问权限
 
 🔑 *获取访问权限流程:*
@@ -147,8 +148,9 @@ class CommandHandler {
         }
         
         // 创建用户凭据
-        const username = `tg_${this.generateShortId()}`;
+        let username = `tg_${this.generateShortId()}`;
         const password = this.generatePassword();
+        let renewed = false;
         
         try {
             // 检查用户是否已存在，如果存在则更新过期时间
@@ -171,10 +173,10 @@ class CommandHandler {
                     enabled: true
                 });
                 username = existingUsername;
-                password = existingUsers[existingUsername].password;
+                renewed = true;
             } else {
                 // 创建新用户
-                this.userManager.createTelegramUser(username, password, userId);
+                await this.userManager.createTelegramUser(username, password, userId);
             }
             
             // 重置用户的每小时播放列表刷新限制
@@ -186,6 +188,19 @@ class CommandHandler {
             const user = this.userManager.getUsers()[username];
             const expiryTime = new Date(user.expiryTime);
             
+            // 密码只保存哈希，续期时无法再次显示，用户继续使用原来的链接
+            if (renewed) {
+                await bot.sendMessage(msg.chat.id, `🎉 令牌验证成功，访问权限已续期！
+
+👤 用户名：\`${username}\`
+📅 新的过期时间：${expiryTime.toLocaleString()}
+
+💡 请继续使用之前获得的播放列表链接。
+🔑 如果忘记了密码，请发送 /mycredentials reset 生成新密码（旧链接将失效）。`, { parse_mode: 'Markdown' });
+                this.logger.info(`用户 ${userId} 验证成功，续期凭据: ${username}`);
+                return;
+            }
+            
             // 只发送M3U Plus播放列表链接
             const message = `🎉 令牌验证成功！您的登录凭据：
 
@@ -200,7 +215,8 @@ class CommandHandler {
 • 复制上述链接到您的IPTV播放器
 • 链接在24小时后自动失效
 • 过期前机器人会自动提醒您
-• 需要续期时请重新获取token`;
+• 需要续期时请重新获取token
+• 密码只显示这一次，请妥善保存`;
             
             await bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
             
@@ -214,7 +230,7 @@ class CommandHandler {
         }
     }
     
-    async handleMyCredentials(msg, bot) {
+    async handleMyCredentials(msg, bot, args = []) {
         const userId = msg.from.id;
         
         // 查找用户的Telegram用户名
@@ -258,12 +274,31 @@ class CommandHandler {
         const expiryTime = userCredentials.expiryTime ? new Date(userCredentials.expiryTime) : null;
         const timeLeft = expiryTime ? Math.max(0, Math.floor((userCredentials.expiryTime - Date.now()) / (60 * 60 * 1000))) : null;
         
-        // 只显示M3U Plus播放列表链接
-        let message = `🎉 您的登录凭据：
+        // 密码只保存哈希，无法再次显示；需要时重置为新密码并只显示一次
+        let message;
+        if (args[0]?.toLowerCase() === 'reset') {
+            const password = await this.userManager.resetPassword(foundUsername);
+            this.logger.info(`用户 ${userId} 重置了 ${foundUsername} 的密码`);
+            
+            message = `🔑 密码已重置，旧的播放列表链接已失效。
 
-📺 M3U Plus播放列表链接：
+📺 新的M3U Plus播放列表链接：
+
+\`${serverUrl}/get.php?username=${foundUsername}&password=${password}&type=m3u_plus\`
+
+⚠️ 新密码只显示这一次，请立即更新到播放器中。`;
+        } else {
+            message = `🎉 您的登录凭据：
 
-\`${serverUrl}/get.php?username=${foundUsername}&password=${userCredentials.password}&type=m3u_plus\``;
+👤 用户名：\`${foundUsername}\`
+🔒 密码：出于安全考虑只在获取时显示一次
+
+📺 M3U Plus播放列表链接格式：
+
+\`${serverUrl}/get.php?username=${foundUsername}&password=您的密码&type=m3u_plus\`
+
+🔑 忘记密码？发送 /mycredentials reset 生成新密码（旧链接将失效）`;
+        }
 
         if (expiryTime && timeLeft !== null) {
             message += `
@@ -329,9 +364,18 @@ class CommandHandler {
             // 调用频道管理器的刷新方法
             if (this.userManager.channelManager && this.userManager.channelManager.refreshChannels) {
                 const oldChannelCount = this.userManager.channelManager.getChannelCount();
-                await this.userManager.channelManager.refreshChannels();
+                const result = await this.userManager.channelManager.refreshChannels({ trigger: 'telegram' });
                 const newChannelCount = this.userManager.channelManager.getChannelCount();
                 
+                // 刷新失败或新目录未通过校验时继续使用原有频道列表
+                if (!result.success) {
+                    await bot.sendMessage(msg.chat.id, `❌ 频道列表刷新失败：${result.message}
+
+📺 继续使用原有频道列表（${newChannelCount}个频道）
+请稍后重试或联系管理员。`);
+                    return;
+                }
+                
                 const message = isAdmin ? 
                     `✅ 管理员操作完成：频道列表刷新成功！
 
@@ -403,13 +447,8 @@ class CommandHandler {
     }
     
     generatePassword() {
-        // 生成更安全的密码
-        const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-        let password = '';
-        for (let i = 0; i < 12; i++) {
-            password += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return password;
+        // 使用加密安全的随机数生成密码
+        return this.userManager.generateUserPassword();
     }
     
     generateShortId() {
@@ -1,35 +1,22 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 
 class TokenManager {
-    constructor(config, logger) {
+    constructor(config, logger, storage) {
         this.config = config;
         this.logger = logger;
+        this.storage = storage;
         
         this.tokens = new Map();
         this.tokenLimits = new Map();
         
-        // 数据文件路径
-        this.dataDir = path.join(__dirname, '../../../data');
-        this.tokensFile = path.join(this.dataDir, 'telegram-tokens.json');
-        this.limitsFile = path.join(this.dataDir, 'telegram-limits.json');
-        
-        this.ensureDataDirectory();
         this.loadTokens();
     }
     
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
-    }
-    
     loadTokens() {
         try {
             // 加载tokens
-            if (fs.existsSync(this.tokensFile)) {
-                const tokensData = JSON.parse(fs.readFileSync(this.tokensFile, 'utf8'));
+            const tokensData = this.storage.get('telegram-tokens');
+            if (tokensData) {
                 const now = Date.now();
                 
                 for (const [token, data] of Object.entries(tokensData)) {
@@ -42,8 +29,8 @@ class TokenManager {
             }
             
             // 加载限制
-            if (fs.existsSync(this.limitsFile)) {
-                const limitsData = JSON.parse(fs.readFileSync(this.limitsFile, 'utf8'));
+            const limitsData = this.storage.get('telegram-limits');
+            if (limitsData) {
                 const now = Date.now();
                 
                 for (const [userId, limitData] of Object.entries(limitsData)) {
@@ -61,13 +48,13 @@ class TokenManager {
     
     saveData() {
         try {
-            // 保存tokens
-            const tokensData = Object.fromEntries(this.tokens);
-            fs.writeFileSync(this.tokensFile, JSON.stringify(tokensData, null, 2));
-            
-            // 保存限制
-            const limitsData = Object.fromEntries(this.tokenLimits);
-            fs.writeFileSync(this.limitsFile, JSON.stringify(limitsData, null, 2));
+            this.storage.transaction(() => {
+                // 保存tokens
+                this.storage.set('telegram-tokens', Object.fromEntries(this.tokens));
+                
+                // 保存限制
+                this.storage.set('telegram-limits', Object.fromEntries(this.tokenLimits));
+            });
         } catch (error) {
             this.logger.error('Error saving token data:', error);
         }
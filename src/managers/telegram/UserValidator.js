@@ -1,31 +1,18 @@
-const fs = require('fs');
-const path = require('path');
-
 class UserValidator {
-    constructor(config, logger) {
+    constructor(config, logger, storage) {
         this.config = config;
         this.logger = logger;
+        this.storage = storage;
         
         this.userActivities = new Map();
         
-        // 数据文件路径
-        this.dataDir = path.join(__dirname, '../../../data');
-        this.activitiesFile = path.join(this.dataDir, 'user-activities.json');
-        
-        this.ensureDataDirectory();
         this.loadActivities();
     }
     
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
-    }
-    
     loadActivities() {
         try {
-            if (fs.existsSync(this.activitiesFile)) {
-                const activitiesData = JSON.parse(fs.readFileSync(this.activitiesFile, 'utf8'));
+            const activitiesData = this.storage.get('user-activities');
+            if (activitiesData) {
                 
                 for (const [userId, activity] of Object.entries(activitiesData)) {
                     this.userActivities.set(parseInt(userId), activity);
@@ -40,8 +27,7 @@ class UserValidator {
     
     saveData() {
         try {
-            const activitiesData = Object.fromEntries(this.userActivities);
-            fs.writeFileSync(this.activitiesFile, JSON.stringify(activitiesData, null, 2));
+            this.storage.set('user-activities', Object.fromEntries(this.userActivities));
         } catch (error) {
             this.logger.error('Error saving user activities:', error);
         }
@@ -1,22 +1,301 @@
 const express = require('express');
+const net = require('net');
 const router = express.Router();
 
-module.exports = (userManager, channelManager, config) => {
+module.exports = (userManager, channelManager, config, packageManager, adminAuth, roleManager, securityManager, storage) => {
+    
+    // 登录成功后写入会话Cookie（HTTPS下加Secure）
+    function startSession(req, res, session) {
+        const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+        res.setHeader('Set-Cookie', adminAuth.buildSessionCookie(session, secure));
+    }
+    
+    // 要求当前登录身份的角色拥有指定权限；未启用认证时不做限制
+    function requirePermission(permission) {
+        return (req, res, next) => {
+            if (!req.admin || roleManager.hasPermission(req.admin.role, permission)) {
+                return next();
+            }
+            res.status(403).json({ error: `Permission denied: ${permission} required`, role: req.admin.role });
+        };
+    }
+    
+    // 角色变更只能作用于权限不超过自己的角色
+    function assertCanManage(req, targetRole) {
+        if (req.admin && !roleManager.canManage(req.admin.role, targetRole)) {
+            const error = new Error(`Role ${req.admin.role} cannot manage role ${targetRole}`);
+            error.status = 403;
+            throw error;
+        }
+    }
+    
+    // 登录页面
+    router.get('/login', (req, res) => {
+        res.send(generateLoginHTML(null, adminAuth.getAuthConfig().telegramLogin));
+    });
+    
+    // 用户名密码登录：表单提交时跳转到面板，JSON请求返回会话信息
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        const wantsJson = req.is('json');
+        
+        try {
+            const session = await adminAuth.login(String(username || ''), String(password || ''), adminAuth.getClientIP(req));
+            startSession(req, res, session);
+            
+            if (wantsJson) {
+                return res.json({ success: true, username: session.username, expiresAt: session.expiresAt });
+            }
+            res.redirect('/admin');
+        } catch (error) {
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', error.retryAfter);
+            }
+            if (wantsJson) {
+                return res.status(error.status || 500).json({ error: error.message });
+            }
+            res.status(error.status || 500).send(generateLoginHTML(error.message, adminAuth.getAuthConfig().telegramLogin));
+        }
+    });
+    
+    // Telegram登录链接（由机器人 /admin weblogin 生成）
+    router.get('/login/telegram', (req, res) => {
+        try {
+            const session = adminAuth.redeemTelegramLoginCode(req.query.code, adminAuth.getClientIP(req));
+            startSession(req, res, session);
+            res.redirect('/admin');
+        } catch (error) {
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', error.retryAfter);
+            }
+            res.status(error.status || 500).send(generateLoginHTML(error.message, adminAuth.getAuthConfig().telegramLogin));
+        }
+    });
+    
+    router.post('/logout', (req, res) => {
+        const identity = adminAuth.authenticateRequest(req);
+        if (identity?.sessionToken) {
+            adminAuth.logout(identity.sessionToken);
+        }
+        res.setHeader('Set-Cookie', adminAuth.buildLogoutCookie());
+        
+        if (req.is('json')) {
+            return res.json({ success: true });
+        }
+        res.redirect('/admin/login');
+    });
+    
+    // 以下所有接口都需要登录（会话Cookie）或API密钥（Authorization: Bearer）
+    router.use((req, res, next) => {
+        if (!adminAuth.isEnabled()) {
+            return next();
+        }
+        
+        const identity = adminAuth.authenticateRequest(req);
+        if (identity) {
+            req.admin = { ...identity, role: roleManager.resolveRole(identity) };
+            return next();
+        }
+        
+        // 浏览器访问面板首页时跳转到登录页，API请求返回401
+        if (req.method === 'GET' && req.path === '/') {
+            return res.redirect('/admin/login');
+        }
+        res.status(401).json({ error: 'Authentication required' });
+    });
     
     // 管理员面板首页
     router.get('/', (req, res) => {
-        res.send(generateAdminPanelHTML(userManager, channelManager, config));
+        res.send(generateAdminPanelHTML(userManager, channelManager, config, req.admin, storage.getRecoveries()));
+    });
+    
+    // 管理员账号
+    router.get('/accounts', requirePermission('manage_admins'), (req, res) => {
+        const accounts = adminAuth.getAccounts().map(account => ({
+            ...account,
+            role: roleManager.getRole('accounts', account.username)
+        }));
+        res.json({ accounts });
+    });
+    
+    // 新账号默认角色为admin
+    router.post('/accounts', requirePermission('manage_admins'), async (req, res) => {
+        const role = req.body?.role || 'admin';
+        
+        try {
+            if (!roleManager.isValidRole(role)) {
+                throw new Error(`Unknown role: ${role}`);
+            }
+            assertCanManage(req, role);
+            
+            const account = await adminAuth.createAccount(req.body?.username, req.body?.password);
+            roleManager.setRole('accounts', account.username, role);
+            res.status(201).json({ success: true, account: { ...account, role } });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+    
+    // 修改密码后该账号的所有会话失效；任何账号都可以修改自己的密码
+    router.put('/accounts/:username/password', async (req, res) => {
+        const isSelf = req.admin?.method === 'password' && req.admin.username === req.params.username;
+        if (req.admin && !isSelf && !roleManager.hasPermission(req.admin.role, 'manage_admins')) {
+            return res.status(403).json({ error: 'Permission denied: manage_admins required', role: req.admin.role });
+        }
+        
+        try {
+            if (isSelf) {
+                await adminAuth.verifyCurrentPassword(req.admin.username, req.body?.currentPassword, adminAuth.getClientIP(req));
+            }
+            await adminAuth.changePassword(req.params.username, req.body?.password);
+            res.json({ success: true, message: 'Password changed, existing sessions were signed out' });
+        } catch (error) {
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', error.retryAfter);
+            }
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+    
+    router.put('/accounts/:username/role', requirePermission('manage_admins'), (req, res) => {
+        const { username } = req.params;
+        
+        try {
+            if (!adminAuth.getAccount(username)) {
+                return res.status(404).json({ error: 'Admin account not found' });
+            }
+            if (req.admin?.method === 'password' && req.admin.username === username) {
+                throw new Error('You cannot change your own role');
+            }
+            assertCanManage(req, roleManager.getRole('accounts', username));
+            assertCanManage(req, req.body?.role);
+            
+            roleManager.setRole('accounts', username, req.body?.role);
+            res.json({ success: true, username, role: req.body.role });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+    
+    router.delete('/accounts/:username', requirePermission('manage_admins'), (req, res) => {
+        try {
+            assertCanManage(req, roleManager.getRole('accounts', req.params.username));
+            adminAuth.deleteAccount(req.params.username);
+            roleManager.removeRole('accounts', req.params.username);
+            res.json({ success: true, message: `Admin account ${req.params.username} deleted` });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // API密钥（完整密钥只在创建时返回一次）
+    router.get('/api-keys', requirePermission('manage_admins'), (req, res) => {
+        const apiKeys = adminAuth.getApiKeys().map(apiKey => ({
+            ...apiKey,
+            role: roleManager.getRole('apiKeys', apiKey.id)
+        }));
+        res.json({ apiKeys });
+    });
+    
+    // 新密钥默认角色为admin
+    router.post('/api-keys', requirePermission('manage_admins'), (req, res) => {
+        const role = req.body?.role || 'admin';
+        
+        try {
+            if (!roleManager.isValidRole(role)) {
+                throw new Error(`Unknown role: ${role}`);
+            }
+            assertCanManage(req, role);
+            
+            const apiKey = adminAuth.createApiKey(req.body?.name, req.admin?.username || 'unknown');
+            roleManager.setRole('apiKeys', apiKey.id, role);
+            res.status(201).json({ success: true, ...apiKey, role });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+    
+    router.delete('/api-keys/:id', requirePermission('manage_admins'), (req, res) => {
+        try {
+            adminAuth.revokeApiKey(req.params.id);
+            roleManager.removeRole('apiKeys', req.params.id);
+            res.json({ success: true, message: `API key ${req.params.id} revoked` });
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+    
+    // 角色定义和当前登录身份
+    router.get('/roles', (req, res) => {
+        res.json({
+            current: req.admin ? { username: req.admin.username, role: req.admin.role, permissions: roleManager.getPermissions(req.admin.role) } : null,
+            permissions: roleManager.getPermissionList(),
+            roles: roleManager.getRoleDefinitions()
+        });
+    });
+    
+    // 各Telegram管理员的角色（未分配的为null，没有任何权限）
+    router.get('/roles/telegram', requirePermission('manage_admins'), (req, res) => {
+        const telegram = config.telegram || {};
+        const adminIds = Array.from(new Set([...(telegram.adminUserIds || []), telegram.adminUserId].filter(Boolean).map(String)));
+        res.json({
+            admins: adminIds.map(id => ({ telegramUserId: id, role: roleManager.getRole('telegram', id) }))
+        });
+    });
+    
+    router.put('/roles/telegram/:telegramUserId', requirePermission('manage_admins'), (req, res) => {
+        const { telegramUserId } = req.params;
+        
+        try {
+            if (!adminAuth.isTelegramAdmin(telegramUserId)) {
+                return res.status(404).json({ error: 'Telegram admin not found' });
+            }
+            if (req.admin?.method === 'telegram' && req.admin.username === `telegram:${telegramUserId}`) {
+                throw new Error('You cannot change your own role');
+            }
+            assertCanManage(req, roleManager.getRole('telegram', telegramUserId));
+            assertCanManage(req, req.body?.role);
+            
+            roleManager.setRole('telegram', telegramUserId, req.body?.role);
+            res.json({ success: true, telegramUserId, role: req.body.role });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+    
+    // IP封禁
+    router.get('/security/blocked-ips', requirePermission('view_logs'), (req, res) => {
+        res.json({ blockedIPs: securityManager.getBlockedIPs() });
+    });
+    
+    router.post('/security/blocked-ips', requirePermission('block_ips'), (req, res) => {
+        const ip = String(req.body?.ip || '').trim();
+        if (!net.isIP(ip)) {
+            return res.status(400).json({ error: 'A valid IP address is required' });
+        }
+        
+        securityManager.blockIP(ip, req.body.reason || `Blocked by ${req.admin?.username || 'admin'}`);
+        res.json({ success: true, message: `IP ${ip} blocked` });
+    });
+    
+    router.delete('/security/blocked-ips/:ip', requirePermission('block_ips'), (req, res) => {
+        if (securityManager.unblockIP(req.params.ip)) {
+            res.json({ success: true, message: `IP ${req.params.ip} unblocked` });
+        } else {
+            res.status(404).json({ error: 'IP is not blocked' });
+        }
     });
     
     // 用户管理API
-    router.get('/users', (req, res) => {
+    router.get('/users', requirePermission('view_logs'), (req, res) => {
         const users = userManager.getUsers();
         const userList = Object.entries(users).map(([username, user]) => ({
             username,
             enabled: user.enabled,
             maxConnections: user.maxConnections,
             createdAt: user.createdAt,
-            source: user.source || 'config'
+            source: user.source || 'config',
+            packages: userManager.getUserPackages(username)
         }));
         
         res.json({
@@ -26,23 +305,33 @@ module.exports = (userManager, channelManager, config) => {
     });
     
     // 创建用户
-    router.post('/users', (req, res) => {
-        const { username, password, maxConnections, enabled } = req.body;
+    router.post('/users', requirePermission('manage_users'), async (req, res) => {
+        const { username, password, maxConnections, enabled, packages } = req.body;
         
         if (!username || !password) {
             return res.status(400).json({ error: 'Username and password required' });
         }
         
+        if (packages !== undefined && !Array.isArray(packages)) {
+            return res.status(400).json({ error: 'Packages must be an array' });
+        }
+        
+        const unknownPackages = (packages || []).filter(name => !packageManager.getPackage(name));
+        if (unknownPackages.length > 0) {
+            return res.status(400).json({ error: `Unknown packages: ${unknownPackages.join(', ')}` });
+        }
+        
         try {
-            const user = userManager.createUser(username, password, {
+            await userManager.createUser(username, password, {
                 maxConnections: parseInt(maxConnections) || 1,
-                enabled: enabled !== false
+                enabled: enabled !== false,
+                ...(packages ? { packages } : {})
             });
             
             res.json({
                 success: true,
                 message: `User ${username} created successfully`,
-                user: user
+                user: userManager.getPublicUser(username)
             });
         } catch (error) {
             res.status(500).json({ error: error.message });
@@ -50,22 +339,47 @@ module.exports = (userManager, channelManager, config) => {
     });
     
     // 更新用户
-    router.put('/users/:username', (req, res) => {
+    router.put('/users/:username', requirePermission('manage_users'), async (req, res) => {
         const { username } = req.params;
-        const updates = req.body;
+        const { password, ...updates } = req.body;
         
-        if (userManager.updateUser(username, updates)) {
+        if (!userManager.getUsers()[username]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        try {
+            if (password !== undefined) {
+                await userManager.setPassword(username, String(password));
+            }
+            userManager.updateUser(username, updates);
             res.json({
                 success: true,
                 message: `User ${username} updated successfully`
             });
-        } else {
-            res.status(404).json({ error: 'User not found' });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
         }
     });
     
+    // 重置用户密码，新密码只在本次响应中返回
+    router.post('/users/:username/reset-password', requirePermission('manage_users'), async (req, res) => {
+        const { username } = req.params;
+        
+        if (!userManager.getUsers()[username]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const password = await userManager.resetPassword(username);
+        res.json({
+            success: true,
+            message: `Password for ${username} has been reset, it will not be shown again`,
+            username,
+            password
+        });
+    });
+    
     // 删除用户
-    router.delete('/users/:username', (req, res) => {
+    router.delete('/users/:username', requirePermission('manage_users'), (req, res) => {
         const { username } = req.params;
         
         if (userManager.deleteUser(username)) {
@@ -78,8 +392,94 @@ module.exports = (userManager, channelManager, config) => {
         }
     });
     
+    // 设置用户的频道套餐（空数组表示不限制）
+    router.put('/users/:username/packages', requirePermission('manage_users'), (req, res) => {
+        const { username } = req.params;
+        const { packages } = req.body;
+        
+        if (!Array.isArray(packages)) {
+            return res.status(400).json({ error: 'Packages must be an array' });
+        }
+        
+        try {
+            userManager.assignPackages(username, packages);
+            res.json({
+                success: true,
+                message: `Packages for ${username} updated successfully`,
+                packages
+            });
+        } catch (error) {
+            const status = error.message === 'User not found' ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    });
+    
+    // 频道套餐管理API
+    router.get('/packages', requirePermission('view_logs'), (req, res) => {
+        const packages = packageManager.getPackages().map(pkg => ({
+            ...pkg,
+            channelCount: packageManager.filterChannels(channelManager.getChannels(), [pkg.name]).length
+        }));
+        
+        res.json({
+            total: packages.length,
+            packages
+        });
+    });
+    
+    // 创建频道套餐
+    router.post('/packages', requirePermission('manage_users'), (req, res) => {
+        const { name, description, categories, channelIds } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Package name required' });
+        }
+        
+        try {
+            const pkg = packageManager.createPackage(name, { description, categories, channelIds });
+            res.json({
+                success: true,
+                message: `Package ${name} created successfully`,
+                package: pkg
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 更新频道套餐
+    router.put('/packages/:name', requirePermission('manage_users'), (req, res) => {
+        const { name } = req.params;
+        const { description, categories, channelIds } = req.body;
+        
+        try {
+            const pkg = packageManager.updatePackage(name, { description, categories, channelIds });
+            res.json({
+                success: true,
+                message: `Package ${name} updated successfully`,
+                package: pkg
+            });
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+    
+    // 删除频道套餐
+    router.delete('/packages/:name', requirePermission('manage_users'), (req, res) => {
+        const { name } = req.params;
+        
+        if (packageManager.deletePackage(name)) {
+            res.json({
+                success: true,
+                message: `Package ${name} deleted successfully`
+            });
+        } else {
+            res.status(404).json({ error: 'Package not found' });
+        }
+    });
+    
     // 服务器状态
-    router.get('/status', (req, res) => {
+    router.get('/status', requirePermission('view_logs'), (req, res) => {
         const status = {
             server: {
                 uptime: process.uptime(),
@@ -93,31 +493,264 @@ module.exports = (userManager, channelManager, config) => {
             channels: {
                 total: channelManager.getChannelCount(),
                 categories: channelManager.getCategoryCount(),
-                lastRefresh: channelManager.lastRefresh
-            }
+                lastRefresh: channelManager.lastRefresh,
+                lastRefreshError: channelManager.lastRefreshError,
+                snapshot: channelManager.currentSnapshotId,
+                sources: channelManager.getSourceStatus()
+            },
+            storage: storage.getStatus()
         };
         
         res.json(status);
     });
     
     // 刷新频道列表
-    router.post('/refresh-channels', async (req, res) => {
+    router.post('/refresh-channels', requirePermission('change_sources'), async (req, res) => {
         try {
-            await channelManager.refreshChannels();
+            const result = await channelManager.refreshChannels({ trigger: 'admin' });
+            if (!result.success) {
+                return res.status(502).json({
+                    error: result.message,
+                    count: channelManager.getChannelCount(),
+                    historyId: result.record?.id
+                });
+            }
+            
             res.json({
                 success: true,
                 message: 'Channels refreshed successfully',
-                count: channelManager.getChannelCount()
+                count: channelManager.getChannelCount(),
+                historyId: result.record?.id,
+                changes: result.record?.summary
             });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
     });
     
+    // 台标缓存统计
+    router.get('/logos', requirePermission('view_logs'), (req, res) => {
+        res.json(channelManager.logoManager.getStats());
+    });
+    
+    // 设置频道的自定义台标：请求体为图片（Content-Type: image/png 等），或 JSON {"url": "图片地址"}
+    router.put('/logos/:id', requirePermission('change_sources'), express.raw({ type: 'image/*', limit: '5mb' }), async (req, res) => {
+        const channel = channelManager.getChannelById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        
+        try {
+            const logoManager = channelManager.logoManager;
+            let override;
+            if (Buffer.isBuffer(req.body)) {
+                override = logoManager.setOverride(channel.id, req.body, req.headers['content-type']);
+            } else if (req.body?.url) {
+                const { data, contentType } = await logoManager.download(req.body.url);
+                override = logoManager.setOverride(channel.id, data, contentType);
+            } else {
+                return res.status(400).json({ error: 'Upload an image body or provide {"url": "..."}' });
+            }
+            
+            res.json({ success: true, channel: channel.id, ...override });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 删除自定义台标，恢复使用上游台标
+    router.delete('/logos/:id', requirePermission('change_sources'), (req, res) => {
+        const channel = channelManager.getChannelById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!channelManager.logoManager.removeOverride(channel.id)) {
+            return res.status(404).json({ error: 'No custom logo for this channel' });
+        }
+        res.json({ success: true, message: `Custom logo removed for channel ${channel.id}` });
+    });
+    
+    // 频道健康检测结果，可按状态过滤：?status=down|up|hidden|unknown
+    router.get('/health', requirePermission('view_logs'), (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 10000);
+        const report = channelManager.getHealthReport(req.query.status || null);
+        res.json({
+            ...report,
+            total: report.channels.length,
+            channels: report.channels.slice(0, limit)
+        });
+    });
+    
+    // 单个频道的检测历史
+    router.get('/health/:id', requirePermission('view_logs'), (req, res) => {
+        const channel = channelManager.getChannelById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        res.json({
+            id: channel.id,
+            name: channel.name,
+            hidden: channelManager.healthManager.isHidden(channel),
+            ...(channelManager.healthManager.getResult(channel.id) || { status: 'unknown', history: [] })
+        });
+    });
+    
+    // 立即开始一轮检测（后台执行）
+    router.post('/health/check', requirePermission('change_sources'), (req, res) => {
+        if (channelManager.healthManager.running) {
+            return res.status(409).json({ error: 'Health check already running' });
+        }
+        
+        channelManager.runHealthCheck().catch(error => {
+            console.error('❌ Channel health check failed:', error.message);
+        });
+        res.status(202).json({ success: true, message: `Health check started for ${channelManager.getChannelCount()} channels` });
+    });
+    
+    // 频道排序和频道号设置
+    router.get('/channel-order', requirePermission('view_logs'), (req, res) => {
+        res.json({
+            ...channelManager.getChannelOrder(),
+            categories: channelManager.getCategories()
+        });
+    });
+    
+    // 设置分类顺序：{ "categories": ["央视", "卫视"] }，未列出的分类排在后面
+    router.put('/channel-order/categories', requirePermission('change_sources'), (req, res) => {
+        try {
+            channelManager.setCategoryOrder(req.body?.categories);
+            res.json({ success: true, categories: channelManager.getCategories() });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 设置分类内的频道顺序：{ "channels": [频道ID, ...] }，空数组恢复上游顺序
+    router.put('/channel-order/categories/:category', requirePermission('change_sources'), (req, res) => {
+        try {
+            channelManager.setChannelOrder(req.params.category, req.body?.channels);
+            const channels = channelManager.getChannels()
+                .filter(channel => channel.category === req.params.category)
+                .map(channel => ({ id: channel.id, name: channel.name }));
+            res.json({ success: true, channels });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 设置频道号：{ "numbers": { "频道ID": 101, "频道ID": null } }，null表示清除
+    router.put('/channel-numbers', requirePermission('change_sources'), (req, res) => {
+        try {
+            channelManager.setChannelNumbers(req.body?.numbers);
+            res.json({ success: true, numbers: channelManager.getChannelOrder().numbers });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 试运行频道规则：body中提供rules时测试这些规则，否则测试配置中的规则
+    router.post('/channel-rules/test', requirePermission('change_sources'), (req, res) => {
+        const rules = req.body?.rules;
+        if (rules !== undefined && !Array.isArray(rules)) {
+            return res.status(400).json({ error: 'rules must be an array' });
+        }
+        
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+            const result = channelManager.testChannelRules(rules);
+            res.json({
+                ...result,
+                rules: result.rules.map(rule => ({ ...rule, channels: rule.channels.slice(0, limit) }))
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // 刷新历史（仅摘要）
+    router.get('/refresh-history', requirePermission('view_logs'), (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+        res.json({ history: channelManager.getRefreshHistory(limit) });
+    });
+    
+    // 单次刷新的变更明细
+    router.get('/refresh-history/:id', requirePermission('view_logs'), (req, res) => {
+        const record = channelManager.getRefreshRecord(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Refresh record not found' });
+        }
+        res.json(record);
+    });
+    
+    // 频道目录快照列表
+    router.get('/catalogue/snapshots', requirePermission('view_logs'), (req, res) => {
+        const snapshots = channelManager.getSnapshots();
+        res.json({
+            total: snapshots.length,
+            current: channelManager.currentSnapshotId,
+            snapshots
+        });
+    });
+    
+    // 回滚频道目录（未指定快照时回滚到上一份）
+    router.post('/catalogue/rollback', requirePermission('change_sources'), async (req, res) => {
+        try {
+            const result = await channelManager.rollbackCatalogue(req.body?.snapshot || null);
+            res.json({
+                success: true,
+                message: `Catalogue rolled back to snapshot ${result.snapshot}`,
+                ...result
+            });
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+    
     return router;
 };
 
-function generateAdminPanelHTML(userManager, channelManager, config) {
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function generateLoginHTML(error, telegramLogin) {
+    return `
+<!DOCTYPE html>
+<html lang="zh">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Xtream Codes Proxy - 管理员登录</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f5f5; }
+        .login { max-width: 400px; margin: 80px auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+        .login h1 { font-size: 1.6em; margin-bottom: 20px; color: #333; text-align: center; }
+        .login label { display: block; margin: 12px 0 6px; color: #666; }
+        .login input { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px; }
+        .btn { display: block; width: 100%; padding: 12px 24px; background: #667eea; color: white; border-radius: 6px; margin-top: 20px; border: none; cursor: pointer; font-size: 14px; }
+        .btn:hover { background: #5a6fd8; }
+        .error { background: #f8d7da; color: #721c24; padding: 10px; border-radius: 6px; margin-bottom: 10px; }
+        .hint { color: #666; font-size: 0.9em; margin-top: 20px; text-align: center; }
+    </style>
+</head>
+<body>
+    <form class="login" method="POST" action="/admin/login">
+        <h1>🎬 管理员登录</h1>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+        <label for="username">用户名</label>
+        <input id="username" name="username" autocomplete="username" required>
+        <label for="password">密码</label>
+        <input id="password" name="password" type="password" autocomplete="current-password" required>
+        <button class="btn" type="submit">登录</button>
+        ${telegramLogin ? '<p class="hint">Telegram管理员也可以向机器人发送 /admin weblogin 获取登录链接</p>' : ''}
+    </form>
+</body>
+</html>
+    `;
+}
+
+function generateAdminPanelHTML(userManager, channelManager, config, admin, recoveries = []) {
     return `
 <!DOCTYPE html>
 <html lang="zh">
@@ -147,6 +780,9 @@ function generateAdminPanelHTML(userManager, channelManager, config) {
         .info-section h3 { margin-bottom: 15px; color: #333; }
         .info-item { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #eee; }
         .info-item:last-child { border-bottom: none; }
+        .alert-section { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; padding: 20px 25px; border-radius: 10px; margin-bottom: 20px; }
+        .alert-section h3 { margin-bottom: 10px; }
+        .alert-section ul { margin: 10px 0 0 20px; }
     </style>
 </head>
 <body>
@@ -154,8 +790,22 @@ function generateAdminPanelHTML(userManager, channelManager, config) {
         <div class="header">
             <h1>🎬 Xtream Codes Proxy</h1>
             <p>管理面板 - 服务器运行正常</p>
+            ${admin ? `<form method="POST" action="/admin/logout" style="margin-top: 15px;">
+                <span>当前登录：${escapeHtml(admin.username)}（${escapeHtml(admin.role)}）</span>
+                <button class="btn btn-secondary" type="submit">退出登录</button>
+            </form>` : ''}
         </div>
         
+        ${recoveries.length > 0 ? `<div class="alert-section">
+            <h3>🚨 数据文件损坏</h3>
+            <p>以下数据文件在启动时无法解析，损坏的原文件已改名保留在 data/ 目录中（*.corrupt-*）：</p>
+            <ul>
+                ${recoveries.map(recovery => `<li>${escapeHtml(recovery.name)}：${recovery.backup
+                    ? `已从备份 ${escapeHtml(recovery.backup)} 恢复（备份时间 ${new Date(recovery.backupTime).toLocaleString()}）`
+                    : '没有可用的备份，已按空数据启动'}</li>`).join('')}
+            </ul>
+        </div>` : ''}
+        
         <div class="stats-grid">
             <div class="stat-card">
                 <h3>👥 用户统计</h3>
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = (channelManager) => {
+    
+    // 输出频道台标：管理员上传的台标 > 本地缓存 > 重定向到上游地址
+    router.get('/:id', async (req, res) => {
+        try {
+            const channel = channelManager.getChannelById(req.params.id);
+            if (!channel) {
+                return res.status(404).send('Logo not found');
+            }
+            
+            const logoManager = channelManager.logoManager;
+            const file = await logoManager.getLogoFile(channel);
+            if (file) {
+                // 台标与管理后台同源，禁止按内容猜测类型并禁止执行脚本
+                res.set({
+                    'Content-Security-Policy': "sandbox; default-src 'none'",
+                    'X-Content-Type-Options': 'nosniff'
+                });
+                return res.sendFile(file, {
+                    maxAge: logoManager.getLogoConfig().cacheMaxAge,
+                    lastModified: true
+                });
+            }
+            
+            // 未能缓存时退回上游地址，避免播放器中台标缺失
+            if (channel.logo && /^https?:\/\//i.test(channel.logo)) {
+                return res.redirect(302, channel.logo);
+            }
+            
+            res.status(404).send('Logo not found');
+        } catch (error) {
+            console.error('❌ Logo error:', error.message);
+            if (!res.headersSent) {
+                res.status(500).send('Internal server error');
+            }
+        }
+    });
+    
+    return router;
+};
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const createStreamServer = require('./streamServer');
+
+module.exports = (userManager, channelManager, securityManager, streamRelay, hlsProxy) => {
+
+    const serveStream = createStreamServer(userManager, streamRelay, hlsProxy);
+
+    // 处理点播影片请求
+    router.get('/:username/:password/:id.:ext', async (req, res) => {
+        try {
+            const { username, password, id } = req.params;
+            const clientIP = securityManager.getClientIP(req);
+
+            console.log(`🎬 Movie request: ${username} -> ${id} from ${clientIP}`);
+
+            // 验证用户身份
+            if (!await userManager.authenticateUser(username, password)) {
+                console.log(`❌ Authentication failed for user: ${username}`);
+                return res.status(401).send('Unauthorized');
+            }
+
+            const vod = channelManager.getVodById(id);
+            if (!vod) {
+                console.log(`❌ Movie not found: ${id}`);
+                return res.status(404).send('Movie not found');
+            }
+
+            // 检查并发限制（点播与直播共用设备数限制）
+            const sessionChannelId = `movie:${vod.id}`;
+            const streamSessionId = userManager.checkStreamConcurrency(username, sessionChannelId, clientIP);
+            if (!streamSessionId) {
+                console.log(`⚠️  Concurrent stream limit exceeded for ${username} (3 devices total)`);
+                return res.status(429).json({
+                    error: 'Concurrent stream limit exceeded',
+                    message: 'Maximum 3 devices can stream simultaneously per user'
+                });
+            }
+
+            await serveStream(req, res, {
+                username,
+                channel: { ...vod, id: sessionChannelId },
+                url: vod.url,
+                clientIP,
+                streamSessionId
+            });
+
+        } catch (error) {
+            console.error('❌ Movie proxy error:', error);
+            if (!res.headersSent) {
+                res.status(500).send('Internal server error');
+            }
+        }
+    });
+
+    return router;
+};
@@ -13,49 +13,49 @@ module.exports = (userManager, channelManager, securityManager) => {
             }
             
             // 验证用户身份
-            if (!userManager.authenticateUser(username, password)) {
+            if (!await userManager.authenticateUser(username, password)) {
                 return res.status(401).json({ error: 'Authentication failed' });
             }
             
             switch (action) {
                 case 'get_live_categories':
-                    await handleGetLiveCategories(req, res, channelManager);
+                    await handleGetLiveCategories(req, res, userManager, channelManager);
                     break;
                     
                 case 'get_live_streams':
-                    await handleGetLiveStreams(req, res, channelManager);
+                    await handleGetLiveStreams(req, res, userManager, channelManager);
                     break;
                     
                 case 'get_series_categories':
-                    await handleGetSeriesCategories(req, res);
+                    await handleGetSeriesCategories(req, res, channelManager);
                     break;
                     
                 case 'get_vod_categories':
-                    await handleGetVodCategories(req, res);
+                    await handleGetVodCategories(req, res, channelManager);
                     break;
                     
                 case 'get_series':
-                    await handleGetSeries(req, res);
+                    await handleGetSeries(req, res, channelManager);
                     break;
                     
                 case 'get_vod_streams':
-                    await handleGetVodStreams(req, res);
+                    await handleGetVodStreams(req, res, channelManager);
                     break;
                     
                 case 'get_series_info':
-                    await handleGetSeriesInfo(req, res);
+                    await handleGetSeriesInfo(req, res, channelManager);
                     break;
                     
                 case 'get_vod_info':
-                    await handleGetVodInfo(req, res);
+                    await handleGetVodInfo(req, res, channelManager);
                     break;
                     
                 case 'get_short_epg':
-                    await handleGetShortEPG(req, res);
+                    await handleGetShortEPG(req, res, userManager, channelManager);
                     break;
                     
                 case 'get_simple_data_table':
-                    await handleGetSimpleDataTable(req, res);
+                    await handleGetSimpleDataTable(req, res, userManager, channelManager);
                     break;
                     
                 default:
@@ -72,14 +72,20 @@ module.exports = (userManager, channelManager, securityManager) => {
 };
 
 // 获取直播分类
-async function handleGetLiveCategories(req, res, channelManager) {
+async function handleGetLiveCategories(req, res, userManager, channelManager) {
     try {
         const categories = channelManager.getCategories();
-        const response = categories.map((category, index) => ({
-            category_id: index + 1,
-            category_name: category,
-            parent_id: 0
-        }));
+        const channels = await userManager.getChannelsForUser(req.query.username);
+        const visible = new Set(channelManager.getCategoriesForChannels(channels));
+        
+        // 只返回用户套餐内有频道的分类，分类ID在刷新之间保持不变
+        const response = categories
+            .filter(category => visible.has(category))
+            .map(category => ({
+                category_id: channelManager.getCategoryId('live', category),
+                category_name: category,
+                parent_id: 0
+            }));
         
         res.json(response);
     } catch (error) {
@@ -88,34 +94,37 @@ async function handleGetLiveCategories(req, res, channelManager) {
 }
 
 // 获取直播流
-async function handleGetLiveStreams(req, res, channelManager) {
+async function handleGetLiveStreams(req, res, userManager, channelManager) {
     try {
         const { category_id } = req.query;
-        let channels = channelManager.getChannels();
+        let channels = await userManager.getChannelsForUser(req.query.username);
         
         // 如果指定了分类，进行过滤
         if (category_id && category_id !== '0') {
-            const categories = channelManager.getCategories();
-            const categoryName = categories[parseInt(category_id) - 1];
-            if (categoryName) {
-                channels = channels.filter(channel => channel.category === categoryName);
-            }
+            const categoryName = channelManager.getCategoryById('live', category_id);
+            channels = categoryName ? channels.filter(channel => channel.category === categoryName) : [];
         }
         
-        const response = channels.map(channel => ({
-            num: channel.id,
-            name: channel.name,
-            stream_type: 'live',
-            stream_id: channel.id,
-            stream_icon: channel.logo || '',
-            epg_channel_id: channel.tvgId || '',
-            added: '1640995200',  // 示例时间戳
-            category_id: req.query.category_id || '1',
-            custom_sid: '',
-            tv_archive: 0,
-            direct_source: '',
-            tv_archive_duration: 0
-        }));
+        const response = channels.map(channel => {
+            const catchup = channelManager.getCatchupInfo(channel);
+            const categoryId = channelManager.getCategoryId('live', channel.category);
+            
+            return {
+                num: channelManager.getChannelNumber(channel),
+                name: channel.name,
+                stream_type: 'live',
+                stream_id: channel.id,
+                stream_icon: channelManager.getLogoUrl(channel, userManager.getServerUrl()),
+                epg_channel_id: channel.tvgId || '',
+                added: '1640995200',  // 示例时间戳
+                category_id: categoryId ? String(categoryId) : '',
+                category_ids: categoryId ? [categoryId] : [],
+                custom_sid: '',
+                tv_archive: catchup ? 1 : 0,
+                direct_source: '',
+                tv_archive_duration: catchup ? catchup.days : 0
+            };
+        });
         
         res.json(response);
     } catch (error) {
@@ -123,42 +132,282 @@ async function handleGetLiveStreams(req, res, channelManager) {
     }
 }
 
-// 获取剧集分类（暂时返回空）
-async function handleGetSeriesCategories(req, res) {
-    res.json([]);
+// 获取剧集分类
+async function handleGetSeriesCategories(req, res, channelManager) {
+    try {
+        const categories = channelManager.getSeriesCategories();
+        const response = categories.map(category => ({
+            category_id: channelManager.getCategoryId('series', category),
+            category_name: category,
+            parent_id: 0
+        }));
+        
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get series categories' });
+    }
 }
 
-// 获取VOD分类（暂时返回空）
-async function handleGetVodCategories(req, res) {
-    res.json([]);
+// 获取VOD分类
+async function handleGetVodCategories(req, res, channelManager) {
+    try {
+        const categories = channelManager.getVodCategories();
+        const response = categories.map(category => ({
+            category_id: channelManager.getCategoryId('vod', category),
+            category_name: category,
+            parent_id: 0
+        }));
+        
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get VOD categories' });
+    }
 }
 
-// 获取剧集（暂时返回空）
-async function handleGetSeries(req, res) {
-    res.json([]);
+// 获取剧集
+async function handleGetSeries(req, res, channelManager) {
+    try {
+        const { category_id } = req.query;
+        let seriesList = channelManager.getSeries();
+        
+        // 如果指定了分类，进行过滤
+        if (category_id && category_id !== '0') {
+            const categoryName = channelManager.getCategoryById('series', category_id);
+            seriesList = categoryName ? seriesList.filter(series => series.category === categoryName) : [];
+        }
+        
+        const response = seriesList.map(series => buildSeriesInfo(series, channelManager));
+        
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get series' });
+    }
 }
 
-// 获取VOD流（暂时返回空）
-async function handleGetVodStreams(req, res) {
-    res.json([]);
+// 获取VOD流
+async function handleGetVodStreams(req, res, channelManager) {
+    try {
+        const { category_id } = req.query;
+        let vodStreams = channelManager.getVodStreams();
+        
+        // 如果指定了分类，进行过滤
+        if (category_id && category_id !== '0') {
+            const categoryName = channelManager.getCategoryById('vod', category_id);
+            vodStreams = categoryName ? vodStreams.filter(vod => vod.category === categoryName) : [];
+        }
+        
+        const response = vodStreams.map(vod => buildVodStream(vod, channelManager));
+        
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get VOD streams' });
+    }
+}
+
+// 获取剧集信息
+async function handleGetSeriesInfo(req, res, channelManager) {
+    try {
+        const series = channelManager.getSeriesById(req.query.series_id);
+        if (!series) {
+            return res.json({ seasons: [], info: {}, episodes: {} });
+        }
+        
+        const seasonNumbers = Object.keys(series.seasons).map(Number).sort((a, b) => a - b);
+        
+        const seasons = seasonNumbers.map(seasonNumber => ({
+            season_number: seasonNumber,
+            name: `Season ${seasonNumber}`,
+            episode_count: series.seasons[seasonNumber].length,
+            cover: series.logo || '',
+            cover_big: series.logo || '',
+            air_date: '',
+            overview: ''
+        }));
+        
+        const episodes = {};
+        for (const seasonNumber of seasonNumbers) {
+            episodes[seasonNumber] = series.seasons[seasonNumber].map(episode => ({
+                id: String(episode.id),
+                episode_num: episode.episode,
+                title: episode.title,
+                container_extension: episode.containerExtension || 'mp4',
+                info: {
+                    movie_image: episode.logo || series.logo || ''
+                },
+                custom_sid: '',
+                added: '1640995200',  // 示例时间戳
+                season: episode.season,
+                direct_source: ''
+            }));
+        }
+        
+        res.json({
+            seasons,
+            info: buildSeriesInfo(series, channelManager),
+            episodes
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get series info' });
+    }
 }
 
-// 获取剧集信息（暂时返回空）
-async function handleGetSeriesInfo(req, res) {
-    res.json({ info: {}, episodes: {} });
+// 构建Xtream格式的剧集条目
+function buildSeriesInfo(series, channelManager) {
+    const categoryId = channelManager.getCategoryId('series', series.category);
+    
+    return {
+        num: series.id,
+        name: series.name,
+        series_id: series.id,
+        cover: series.logo || '',
+        plot: '',
+        cast: '',
+        director: '',
+        genre: series.category || '',
+        releaseDate: '',
+        last_modified: '1640995200',  // 示例时间戳
+        rating: '',
+        rating_5based: 0,
+        backdrop_path: [],
+        youtube_trailer: '',
+        episode_run_time: '',
+        category_id: categoryId ? String(categoryId) : '',
+        category_ids: categoryId ? [categoryId] : []
+    };
 }
 
-// 获取VOD信息（暂时返回空）
-async function handleGetVodInfo(req, res) {
-    res.json({ info: {}, movie_data: {} });
+// 获取VOD信息
+async function handleGetVodInfo(req, res, channelManager) {
+    try {
+        const vod = channelManager.getVodById(req.query.vod_id);
+        if (!vod) {
+            return res.json({ info: {}, movie_data: {} });
+        }
+        
+        const stream = buildVodStream(vod, channelManager);
+        
+        res.json({
+            info: {
+                name: vod.name,
+                o_name: vod.tvgName || vod.name,
+                movie_image: vod.logo || '',
+                cover_big: vod.logo || '',
+                plot: '',
+                genre: vod.category || '',
+                releasedate: '',
+                duration_secs: vod.duration > 0 ? vod.duration : 0,
+                rating: ''
+            },
+            movie_data: {
+                stream_id: stream.stream_id,
+                name: stream.name,
+                added: stream.added,
+                category_id: stream.category_id,
+                container_extension: stream.container_extension,
+                custom_sid: '',
+                direct_source: ''
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get VOD info' });
+    }
 }
 
-// 获取短EPG（暂时返回空）
-async function handleGetShortEPG(req, res) {
-    res.json({ epg_listings: [] });
+// 构建Xtream格式的VOD条目
+function buildVodStream(vod, channelManager) {
+    const categoryId = channelManager.getCategoryId('vod', vod.category);
+    
+    return {
+        num: vod.id,
+        name: vod.name,
+        stream_type: 'movie',
+        stream_id: vod.id,
+        stream_icon: vod.logo || '',
+        rating: '',
+        rating_5based: 0,
+        added: '1640995200',  // 示例时间戳
+        category_id: categoryId ? String(categoryId) : '',
+        category_ids: categoryId ? [categoryId] : [],
+        container_extension: vod.containerExtension || 'mp4',
+        custom_sid: '',
+        direct_source: ''
+    };
 }
 
-// 获取简单数据表（暂时返回空）
-async function handleGetSimpleDataTable(req, res) {
-    res.json({ total: 0, data: [] });
+// 获取短EPG（当前及即将播出的节目）
+async function handleGetShortEPG(req, res, userManager, channelManager) {
+    try {
+        const channel = channelManager.getChannelById(req.query.stream_id);
+        if (!channel || !userManager.canAccessChannel(req.query.username, channel)) {
+            return res.json({ epg_listings: [] });
+        }
+        
+        const limit = parseInt(req.query.limit) || 4;
+        const programmes = channelManager.getChannelProgrammes(channel, Date.now()).slice(0, limit);
+        const epgId = channelManager.getChannelEpgId(channel);
+        
+        res.json({
+            epg_listings: programmes.map(programme => buildEpgListing(programme, epgId, channel))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get EPG' });
+    }
+}
+
+// 获取简单数据表（频道的完整节目表）
+async function handleGetSimpleDataTable(req, res, userManager, channelManager) {
+    try {
+        const channel = channelManager.getChannelById(req.query.stream_id);
+        if (!channel || !userManager.canAccessChannel(req.query.username, channel)) {
+            return res.json({ epg_listings: [] });
+        }
+        
+        const now = Date.now();
+        const limit = parseInt(req.query.limit) || 0;
+        let programmes = channelManager.getChannelProgrammes(channel);
+        if (limit > 0) {
+            programmes = programmes.slice(0, limit);
+        }
+        const epgId = channelManager.getChannelEpgId(channel);
+        
+        // 已播出且仍在回看范围内的节目标记为可回看
+        const catchup = channelManager.getCatchupInfo(channel);
+        const archiveStart = catchup ? now - catchup.days * 86400000 : Infinity;
+        
+        res.json({
+            epg_listings: programmes.map(programme => ({
+                ...buildEpgListing(programme, epgId, channel),
+                now_playing: programme.start <= now && programme.stop > now ? 1 : 0,
+                has_archive: programme.start >= archiveStart && programme.stop <= now ? 1 : 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get EPG' });
+    }
+}
+
+// 构建Xtream格式的EPG条目（标题和描述为base64编码）
+function buildEpgListing(programme, epgId, channel) {
+    return {
+        id: String(Math.floor(programme.start / 1000)),
+        epg_id: epgId,
+        title: Buffer.from(programme.title || '').toString('base64'),
+        lang: '',
+        start: formatEpgTime(programme.start),
+        end: formatEpgTime(programme.stop),
+        description: Buffer.from(programme.desc || '').toString('base64'),
+        channel_id: epgId,
+        stream_id: String(channel.id),
+        start_timestamp: String(Math.floor(programme.start / 1000)),
+        stop_timestamp: String(Math.floor(programme.stop / 1000))
+    };
+}
+
+// Xtream使用服务器本地时间 "YYYY-MM-DD HH:mm:ss"
+function formatEpgTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+           `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
 } 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const createStreamServer = require('./streamServer');
+
+module.exports = (userManager, channelManager, securityManager, streamRelay, hlsProxy) => {
+
+    const serveStream = createStreamServer(userManager, streamRelay, hlsProxy);
+
+    // 处理剧集单集请求
+    router.get('/:username/:password/:id.:ext', async (req, res) => {
+        try {
+            const { username, password, id } = req.params;
+            const clientIP = securityManager.getClientIP(req);
+
+            console.log(`📼 Episode request: ${username} -> ${id} from ${clientIP}`);
+
+            // 验证用户身份
+            if (!await userManager.authenticateUser(username, password)) {
+                console.log(`❌ Authentication failed for user: ${username}`);
+                return res.status(401).send('Unauthorized');
+            }
+
+            const episode = channelManager.getEpisodeById(id);
+            if (!episode) {
+                console.log(`❌ Episode not found: ${id}`);
+                return res.status(404).send('Episode not found');
+            }
+
+            // 检查并发限制（剧集与直播共用设备数限制）
+            const sessionChannelId = `series:${episode.id}`;
+            const streamSessionId = userManager.checkStreamConcurrency(username, sessionChannelId, clientIP);
+            if (!streamSessionId) {
+                console.log(`⚠️  Concurrent stream limit exceeded for ${username} (3 devices total)`);
+                return res.status(429).json({
+                    error: 'Concurrent stream limit exceeded',
+                    message: 'Maximum 3 devices can stream simultaneously per user'
+                });
+            }
+
+            await serveStream(req, res, {
+                username,
+                channel: { ...episode, id: sessionChannelId },
+                url: episode.url,
+                clientIP,
+                streamSessionId
+            });
+
+        } catch (error) {
+            console.error('❌ Episode proxy error:', error);
+            if (!res.headersSent) {
+                res.status(500).send('Internal server error');
+            }
+        }
+    });
+
+    return router;
+};
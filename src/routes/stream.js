@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const createStreamServer = require('./streamServer');
 
 
 
-module.exports = (userManager, channelManager, securityManager) => {
+module.exports = (userManager, channelManager, securityManager, streamRelay, hlsProxy) => {
+    
+    const serveStream = createStreamServer(userManager, streamRelay, hlsProxy);
     
     // 处理直播流请求
     router.get('/:username/:password/:streamId', async (req, res) => {
@@ -15,7 +18,7 @@ module.exports = (userManager, channelManager, securityManager) => {
             console.log(`📺 Stream request: ${username} -> ${streamId} from ${clientIP}`);
             
             // 验证用户身份
-            if (!userManager.authenticateUser(username, password)) {
+            if (!await userManager.authenticateUser(username, password)) {
                 console.log(`❌ Authentication failed for user: ${username}`);
                 return res.status(401).send('Unauthorized');
             }
@@ -38,14 +41,26 @@ module.exports = (userManager, channelManager, securityManager) => {
                 return res.status(404).send('Stream not found');
             }
             
-            console.log(`🔄 Redirecting ${username} to: ${channel.url}`);
+            // 检查频道是否在用户的套餐内
+            if (!userManager.canAccessChannel(username, channel)) {
+                console.log(`🚫 ${username} 无权访问频道${streamId}`);
+                userManager.removeStreamConnection(username, streamId, clientIP);
+                return res.status(403).send('Channel not in your package');
+            }
             
-            // 302重定向到原始流URL
-            res.redirect(302, channel.url);
+            await serveStream(req, res, {
+                username,
+                channel,
+                url: channel.url,
+                clientIP,
+                streamSessionId
+            });
             
         } catch (error) {
             console.error('❌ Stream proxy error:', error);
-            res.status(500).send('Internal server error');
+            if (!res.headersSent) {
+                res.status(500).send('Internal server error');
+            }
         }
     });
     
@@ -60,7 +75,8 @@ module.exports = (userManager, channelManager, securityManager) => {
             // 解密token并验证
             const payload = userManager.decryptChannelToken(token, username, clientIP);
             
-            if (!payload) {
+            // 回看令牌只能用于 /timeshift/encrypted
+            if (!payload || payload.catchup) {
                 console.log(`🚫 ${username || 'Unknown'} 访问被拒绝: Invalid token from ${clientIP}`);
                 return res.status(401).json({
                     error: 'Invalid or expired token',
@@ -68,6 +84,16 @@ module.exports = (userManager, channelManager, securityManager) => {
                 });
             }
             
+            // 检查频道是否在用户的套餐内（回看分片的令牌以 timeshift:<频道ID> 为会话ID，按原频道查找）
+            const knownChannel = channelManager.getChannelById(String(payload.channelId).replace(/^timeshift:/, ''));
+            if (knownChannel && !userManager.canAccessChannel(username, knownChannel)) {
+                console.log(`🚫 ${username} 无权访问频道${payload.channelId} from ${clientIP}`);
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'Channel not in your package'
+                });
+            }
+            
             // 检查并发限制
             const streamSessionId = userManager.checkStreamConcurrency(username, payload.channelId, clientIP);
             if (!streamSessionId) {
@@ -78,12 +104,23 @@ module.exports = (userManager, channelManager, securityManager) => {
                 });
             }
             
-            // 记录流访问 - 简化日志输出
-            console.log(`📺 ${username} -> 频道${payload.channelId} from ${clientIP}`);
-            userManager.logger.info(`Stream access: ${username} -> ${payload.channelId} from ${clientIP}`);
+            // 记录流访问 - 简化日志输出（HLS分片请求不逐条记录）
+            if (payload.hls !== 'segment') {
+                console.log(`📺 ${username} -> 频道${payload.channelId} from ${clientIP}`);
+                userManager.logger.info(`Stream access: ${username} -> ${payload.channelId} from ${clientIP}`);
+            }
+            
+            const channel = knownChannel || { id: payload.channelId };
             
-            // 302重定向到真实的流URL
-            res.redirect(302, payload.url);
+            await serveStream(req, res, {
+                username,
+                channel,
+                url: payload.url,
+                clientIP,
+                streamSessionId,
+                sessionChannelId: payload.channelId,
+                hls: payload.hls || null
+            });
             
         } catch (error) {
             // 优化错误处理 - 根据错误类型提供简洁的提示
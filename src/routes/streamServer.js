@@ -0,0 +1,61 @@
+// 根据播放模式输出流：302重定向或由代理中继
+module.exports = (userManager, streamRelay, hlsProxy) => {
+
+    // 频道的候选上游地址：请求的是频道主地址时可在所有备用地址间切换
+    function getCandidateUrls(channel, url, hls) {
+        if (!hls && Array.isArray(channel.urls) && channel.urls.includes(url)) {
+            return channel.urls;
+        }
+        return [url];
+    }
+    
+    // sessionChannelId：写入HLS分片令牌的会话频道ID（回看为 timeshift:<频道ID>），播放模式仍按channel本身判断
+    return async function serveStream(req, res, { username, channel, url, clientIP, streamSessionId, sessionChannelId = channel.id, hls = null }) {
+        const candidates = getCandidateUrls(channel, url, hls);
+        
+        if (!streamRelay || !streamRelay.isRelayMode(channel)) {
+            const target = streamRelay ? await streamRelay.selectRedirectUrl(req, candidates) : url;
+            if (!target) {
+                console.log(`❌ 频道${channel.id}的所有上游地址均不可用`);
+                userManager.releaseStreamConnection(streamSessionId);
+                res.status(502).send('No upstream available');
+                return;
+            }
+            res.redirect(302, target);
+            return;
+        }
+
+        // HLS播放列表：改写其中的变体和分片地址
+        if (hlsProxy && hlsProxy.isEnabled() && (hls === 'playlist' || (!hls && hlsProxy.isPlaylistUrl(url)))) {
+            // 点播、剧集和回看的分片统一交给直播路由的加密地址处理（/movie 和 /series 下没有 /encrypted 路由）
+            const routeBase = req.baseUrl === '/stream' ? '/stream' : '/live';
+            let served = false;
+            try {
+                served = await hlsProxy.servePlaylist(req, res, { urls: candidates, username, channelId: sessionChannelId, routeBase });
+            } finally {
+                // 播放列表获取失败时释放本次请求建立的会话，否则每次失败都会占用一个并发名额
+                if (!served) {
+                    userManager.releaseStreamConnection(streamSessionId);
+                }
+            }
+            return;
+        }
+
+        // HLS分片：短连接，会话由每次请求的并发检查保持活跃
+        if (hls === 'segment') {
+            await streamRelay.relay(req, res, url, {
+                label: `${username} -> ${channel.id} segment (${clientIP})`
+            });
+            return;
+        }
+
+        console.log(`🔁 ${username} 中继频道${channel.id} from ${clientIP}`);
+        userManager.attachStreamConnection(streamSessionId);
+
+        await streamRelay.relay(req, res, candidates, {
+            label: `${username} -> ${channel.id} (${clientIP})`,
+            onActivity: () => userManager.touchStreamSession(streamSessionId),
+            onClose: () => userManager.releaseStreamConnection(streamSessionId)
+        });
+    };
+};
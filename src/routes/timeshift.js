@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const createStreamServer = require('./streamServer');
+
+module.exports = (userManager, channelManager, securityManager, streamRelay, hlsProxy) => {
+    
+    const serveStream = createStreamServer(userManager, streamRelay, hlsProxy);
+    
+    // 校验频道和时间段，生成上游回看地址并按直播相同的方式输出
+    async function serveArchive(req, res, { username, channel, start, duration, clientIP }) {
+        if (!userManager.canAccessChannel(username, channel)) {
+            console.log(`🚫 ${username} 无权回看频道${channel.id}`);
+            return res.status(403).send('Channel not in your package');
+        }
+        
+        const catchup = channelManager.getCatchupInfo(channel);
+        if (!catchup) {
+            return res.status(404).send('Catch-up not available for this channel');
+        }
+        
+        if (!start || !duration || duration <= 0 || !channelManager.catchupBuilder.isWithinArchive(catchup, start)) {
+            return res.status(400).send('Requested time is outside the archive window');
+        }
+        
+        const archiveUrl = channelManager.catchupBuilder.buildArchiveUrl(channel, catchup, start, duration);
+        if (!archiveUrl) {
+            console.log(`❌ 无法生成频道${channel.id}的回看地址 (${catchup.type})`);
+            return res.status(502).send('Unable to build archive URL');
+        }
+        
+        // 检查并发限制（回看与直播共用设备数限制）
+        const sessionChannelId = `timeshift:${channel.id}`;
+        const streamSessionId = userManager.checkStreamConcurrency(username, sessionChannelId, clientIP);
+        if (!streamSessionId) {
+            console.log(`⚠️  Concurrent stream limit exceeded for ${username} (3 devices total)`);
+            return res.status(429).json({
+                error: 'Concurrent stream limit exceeded',
+                message: 'Maximum 3 devices can stream simultaneously per user'
+            });
+        }
+        
+        userManager.logger.info(`Timeshift access: ${username} -> ${channel.id} @ ${new Date(start).toISOString()} (${duration}s) from ${clientIP}`);
+        
+        await serveStream(req, res, {
+            username,
+            channel,
+            sessionChannelId,
+            url: archiveUrl,
+            clientIP,
+            streamSessionId
+        });
+    }
+    
+    // 处理加密的回看请求（M3U Plus中catchup-source使用的地址）
+    router.get('/encrypted/:token', async (req, res) => {
+        const { token } = req.params;
+        const { username, utc, duration } = req.query;
+        const clientIP = securityManager.getClientIP(req);
+        
+        try {
+            const payload = userManager.decryptChannelToken(token, username, clientIP);
+            if (!payload || !payload.catchup) {
+                return res.status(401).json({
+                    error: 'Invalid or expired token',
+                    message: 'Token has expired or is invalid'
+                });
+            }
+            
+            const channel = channelManager.getChannelById(payload.channelId);
+            if (!channel) {
+                return res.status(404).send('Stream not found');
+            }
+            
+            await serveArchive(req, res, {
+                username,
+                channel,
+                start: parseInt(utc) * 1000,
+                duration: parseInt(duration),
+                clientIP
+            });
+        
+        } catch (error) {
+            if (res.headersSent) {
+                return;
+            }
+            
+            const errorMessage = error.message || 'Unknown error';
+            console.log(`🚫 ${username || 'Unknown'} 回看访问被拒绝: ${errorMessage} from ${clientIP}`);
+            res.status(401).json({
+                error: 'Access denied',
+                message: errorMessage
+            });
+        }
+    });
+    
+    // 处理Xtream格式的回看请求：时长单位为分钟，开始时间为 YYYY-MM-DD:HH-MM
+    router.get('/:username/:password/:duration/:start/:streamId', async (req, res) => {
+        try {
+            const { username, password, duration, start } = req.params;
+            const streamId = req.params.streamId.replace(/\.\w+$/, '');
+            const clientIP = securityManager.getClientIP(req);
+            
+            console.log(`⏪ Timeshift request: ${username} -> ${streamId} @ ${start} (${duration}min) from ${clientIP}`);
+            
+            // 验证用户身份
+            if (!await userManager.authenticateUser(username, password)) {
+                console.log(`❌ Authentication failed for user: ${username}`);
+                return res.status(401).send('Unauthorized');
+            }
+            
+            const channel = channelManager.getChannelById(streamId);
+            if (!channel) {
+                console.log(`❌ Channel not found: ${streamId}`);
+                return res.status(404).send('Stream not found');
+            }
+            
+            await serveArchive(req, res, {
+                username,
+                channel,
+                start: channelManager.catchupBuilder.parseStartTime(start),
+                duration: parseInt(duration) * 60,
+                clientIP
+            });
+        
+        } catch (error) {
+            console.error('❌ Timeshift proxy error:', error);
+            if (!res.headersSent) {
+                res.status(500).send('Internal server error');
+            }
+        }
+    });
+    
+    return router;
+};
@@ -0,0 +1,155 @@
+// 根据频道的catchup属性生成回看（时移）地址
+// 支持的类型：default（catchup-source为完整模板）、append（模板追加在直播地址后）、
+// shift（追加utc/lutc参数）、flussonic/fs（Flussonic归档地址）、xc（Xtream Codes timeshift）
+const SUPPORTED_TYPES = ['default', 'append', 'shift', 'flussonic', 'flussonic-hls', 'flussonic-ts', 'fs', 'xc'];
+
+class CatchupBuilder {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+    }
+    
+    // 获取频道的回看信息，频道未设置时使用播放列表头部的默认值
+    getCatchupInfo(channel, header = {}) {
+        const attributes = channel.attributes || {};
+        const type = (attributes.catchup || header.catchup || '').toLowerCase();
+        if (!type || !SUPPORTED_TYPES.includes(type)) {
+            return null;
+        }
+        
+        const source = attributes['catchup-source'] || header['catchup-source'] || '';
+        if ((type === 'default' || type === 'append') && !source) {
+            return null;
+        }
+        
+        const days = parseInt(attributes['catchup-days'] || header['catchup-days']) ||
+                     this.config.catchup?.defaultDays || 7;
+        
+        return { type, source, days };
+    }
+    
+    // 生成指定开始时间和时长（秒）的上游回看地址
+    buildArchiveUrl(channel, info, start, duration) {
+        const context = this.buildContext(start, duration);
+        
+        switch (info.type) {
+            case 'default':
+                return this.fillTemplate(info.source, context);
+            
+            case 'append':
+                return channel.url + this.fillTemplate(info.source, context);
+            
+            case 'shift': {
+                const separator = channel.url.includes('?') ? '&' : '?';
+                return `${channel.url}${separator}utc=${context.utc}&lutc=${context.lutc}`;
+            }
+            
+            case 'flussonic':
+            case 'flussonic-hls':
+            case 'flussonic-ts':
+            case 'fs':
+                return this.buildFlussonicUrl(channel.url, context);
+            
+            case 'xc':
+                return this.buildXtreamUrl(channel.url, context);
+            
+            default:
+                return null;
+        }
+    }
+    
+    buildContext(start, duration) {
+        const startSeconds = Math.floor(start / 1000);
+        const now = Math.floor(Date.now() / 1000);
+        const date = new Date(start);
+        const pad = (value) => String(value).padStart(2, '0');
+        
+        return {
+            utc: startSeconds,
+            start: startSeconds,
+            lutc: now,
+            now,
+            timestamp: now,
+            utcend: startSeconds + duration,
+            end: startSeconds + duration,
+            duration,
+            offset: Math.max(0, now - startSeconds),
+            Y: date.getUTCFullYear(),
+            m: pad(date.getUTCMonth() + 1),
+            d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()),
+            M: pad(date.getUTCMinutes()),
+            S: pad(date.getUTCSeconds())
+        };
+    }
+    
+    // 替换 {utc}、${start}、{duration:60} 等占位符，冒号后的数字为除数
+    fillTemplate(template, context) {
+        return template.replace(/\$?\{(\w+)(?::(\d+))?\}/g, (match, name, divisor) => {
+            if (context[name] === undefined) {
+                return match;
+            }
+            if (divisor) {
+                return String(Math.floor(Number(context[name]) / parseInt(divisor)));
+            }
+            return String(context[name]);
+        });
+    }
+    
+    // http://host/channel/index.m3u8 -> http://host/channel/index-<utc>-<duration>.m3u8
+    // http://host/channel/mpegts     -> http://host/channel/timeshift_abs-<utc>.ts
+    buildFlussonicUrl(url, context) {
+        const parsed = new URL(url);
+        const match = parsed.pathname.match(/^(.*\/)([^/]*?)(\.m3u8)?$/);
+        if (!match) {
+            return null;
+        }
+        
+        const [, base, name, hls] = match;
+        if (hls) {
+            parsed.pathname = `${base}${name}-${context.utc}-${context.duration}.m3u8`;
+        } else {
+            parsed.pathname = `${base}timeshift_abs-${context.utc}.ts`;
+        }
+        return parsed.toString();
+    }
+    
+    // http://host/live/user/pass/id.ts -> http://host/timeshift/user/pass/<分钟>/<Y-m-d:H-M>/id.ts
+    buildXtreamUrl(url, context) {
+        const parsed = new URL(url);
+        const match = parsed.pathname.match(/^\/(?:live\/)?([^/]+)\/([^/]+)\/([^/.]+)(\.\w+)?$/);
+        if (!match) {
+            return null;
+        }
+        
+        const [, user, pass, id, extension = '.ts'] = match;
+        const minutes = Math.ceil(context.duration / 60);
+        const start = `${context.Y}-${context.m}-${context.d}:${context.H}-${context.M}`;
+        parsed.pathname = `/timeshift/${user}/${pass}/${minutes}/${start}/${id}${extension}`;
+        return parsed.toString();
+    }
+    
+    // 解析Xtream格式的开始时间：YYYY-MM-DD:HH-MM（服务器本地时间），也接受Unix时间戳
+    parseStartTime(value) {
+        if (/^\d{9,}$/.test(value)) {
+            return parseInt(value) * 1000;
+        }
+        
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[:_ T](\d{2})[-:](\d{2})(?:[-:](\d{2}))?$/);
+        if (!match) {
+            return null;
+        }
+        
+        const [, year, month, day, hour, minute, second = '00'] = match;
+        const start = new Date(+year, +month - 1, +day, +hour, +minute, +second).getTime();
+        return isNaN(start) ? null : start;
+    }
+    
+    // 检查请求的时间段是否在可回看范围内
+    isWithinArchive(info, start) {
+        const earliest = Date.now() - info.days * 86400000;
+        return start >= earliest && start <= Date.now();
+    }
+}
+
+module.exports = CatchupBuilder;
@@ -0,0 +1,201 @@
+// 按顺序执行的频道规则：用正则匹配频道字段，然后删除、改名、移动分类、设置台标、tvg-id或排序号
+// 规则示例：
+// { "name": "去掉HD后缀", "match": { "name": "^(.*) HD$" }, "action": "rename", "value": "$1" }
+const FIELDS = {
+    name: channel => channel.name,
+    group: channel => channel.category,
+    tvgId: channel => channel.tvgId,
+    url: channel => channel.url,
+    source: channel => channel.source
+};
+
+const ACTIONS = ['drop', 'rename', 'category', 'logo', 'tvgId', 'sort'];
+
+class ChannelRules {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        
+        // 配置中的规则及其编译结果，配置中的规则数组被替换时重新编译
+        this.configRules = null;
+        this.compiledConfigRules = [];
+        this.getConfigRules();
+    }
+    
+    getRules() {
+        return this.config.features?.channelRules || [];
+    }
+    
+    // 配置中的规则在加载时编译并校验：无效规则记录日志后跳过，不会导致每次刷新失败
+    getConfigRules() {
+        const rules = this.getRules();
+        if (rules !== this.configRules) {
+            this.configRules = rules;
+            this.compiledConfigRules = this.compile(rules, { skipInvalid: true });
+        }
+        return this.compiledConfigRules;
+    }
+    
+    // 编译规则，配置有误时抛出带规则序号的错误；skipInvalid时跳过无效规则
+    compile(rules, { skipInvalid = false } = {}) {
+        if (!Array.isArray(rules)) {
+            if (!skipInvalid) {
+                throw new Error('rules must be an array');
+            }
+            this.logger.error('Ignoring channel rules: features.channelRules must be an array');
+            return [];
+        }
+        
+        const compiled = [];
+        rules.forEach((rule, index) => {
+            try {
+                const compiledRule = this.compileRule(rule, index);
+                if (compiledRule.enabled !== false) {
+                    compiled.push(compiledRule);
+                }
+            } catch (error) {
+                if (!skipInvalid) {
+                    throw error;
+                }
+                this.logger.error(`Skipping invalid channel rule: ${error.message}`);
+            }
+        });
+        return compiled;
+    }
+    
+    compileRule(rule, index) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Rule #${index + 1}: must be an object`);
+        }
+        
+        const label = rule.name || `#${index + 1}`;
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`Rule ${label}: unknown action "${rule.action}" (expected one of ${ACTIONS.join(', ')})`);
+        }
+        if (rule.action !== 'drop' && rule.value === undefined) {
+            throw new Error(`Rule ${label}: action "${rule.action}" requires a value`);
+        }
+        // 不含捕获组引用的排序号必须是数字
+        if (rule.action === 'sort' && !String(rule.value).includes('$') && !this.toSortOrder(rule.value).valid) {
+            throw new Error(`Rule ${label}: sort value must be a number`);
+        }
+        
+        const matchers = Object.entries(rule.match || {}).map(([field, pattern]) => {
+            if (!FIELDS[field]) {
+                throw new Error(`Rule ${label}: unknown field "${field}" (expected one of ${Object.keys(FIELDS).join(', ')})`);
+            }
+            try {
+                return { field, regex: new RegExp(pattern, rule.flags ?? 'i') };
+            } catch (error) {
+                throw new Error(`Rule ${label}: invalid pattern for ${field}: ${error.message}`);
+            }
+        });
+        if (matchers.length === 0) {
+            throw new Error(`Rule ${label}: match must contain at least one field`);
+        }
+        
+        return { ...rule, index, label, matchers };
+    }
+    
+    toSortOrder(value) {
+        const number = String(value).trim() === '' ? NaN : Number(value);
+        return { valid: Number.isFinite(number), number };
+    }
+    
+    // 所有字段都匹配时返回第一个字段的匹配结果（用于捕获组替换），否则返回null
+    matchChannel(rule, channel) {
+        let first = null;
+        for (const { field, regex } of rule.matchers) {
+            const match = String(FIELDS[field](channel) ?? '').match(regex);
+            if (!match) {
+                return null;
+            }
+            first = first || { field, regex, match };
+        }
+        return first;
+    }
+    
+    // 用匹配结果替换 $1、$<name> 等占位符
+    expand(value, match) {
+        return String(value).replace(/\$(\d+|<(\w+)>|\$)/g, (token, ref, group) => {
+            if (ref === '$') return '$';
+            const replacement = group ? match.groups?.[group] : match[parseInt(ref)];
+            return replacement ?? '';
+        });
+    }
+    
+    applyAction(rule, channel, result) {
+        switch (rule.action) {
+            case 'rename':
+                // 按名称匹配时只替换匹配到的部分，其他情况使用展开后的整个值
+                channel.name = result.field === 'name'
+                    ? channel.name.replace(result.regex, rule.value)
+                    : this.expand(rule.value, result.match);
+                break;
+            case 'category':
+                channel.category = this.expand(rule.value, result.match);
+                break;
+            case 'logo':
+                channel.logo = this.expand(rule.value, result.match);
+                break;
+            case 'tvgId':
+                channel.tvgId = this.expand(rule.value, result.match);
+                break;
+            case 'sort': {
+                // 展开后不是数字时忽略，NaN会使排序结果不确定
+                const sortOrder = this.toSortOrder(this.expand(rule.value, result.match));
+                if (sortOrder.valid) {
+                    channel.sortOrder = sortOrder.number;
+                }
+                break;
+            }
+        }
+    }
+    
+    // 依次对频道执行规则，返回处理后的频道和每条规则的命中情况
+    // 未指定规则时使用配置中已校验的规则；指定的规则（试运行）有误时抛出错误
+    apply(channels, rules) {
+        const compiled = rules === undefined ? this.getConfigRules() : this.compile(rules);
+        const hits = compiled.map(rule => ({ index: rule.index, name: rule.label, action: rule.action, channels: [] }));
+        if (compiled.length === 0) {
+            return { channels, hits };
+        }
+        
+        const output = [];
+        for (const original of channels) {
+            const channel = { ...original };
+            let dropped = false;
+            
+            for (let i = 0; i < compiled.length; i++) {
+                const rule = compiled[i];
+                const result = this.matchChannel(rule, channel);
+                if (!result) continue;
+                
+                const before = { name: channel.name, category: channel.category };
+                if (rule.action === 'drop') {
+                    dropped = true;
+                } else {
+                    this.applyAction(rule, channel, result);
+                }
+                hits[i].channels.push({ id: channel.id, before, after: dropped ? null : { name: channel.name, category: channel.category } });
+                
+                if (dropped || rule.stop) break;
+            }
+            
+            if (!dropped) {
+                output.push(channel);
+            }
+        }
+        
+        // 设置了排序号的频道排在前面，其余保持原有顺序
+        const sorted = output
+            .map((channel, position) => ({ channel, position }))
+            .sort((a, b) => (a.channel.sortOrder ?? Infinity) - (b.channel.sortOrder ?? Infinity) || a.position - b.position)
+            .map(item => item.channel);
+        
+        this.logger.info(`Channel rules: ${channels.length} -> ${sorted.length} channels (${compiled.length} rules)`);
+        return { channels: sorted, hits };
+    }
+}
+
+module.exports = ChannelRules;
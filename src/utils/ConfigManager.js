@@ -1,18 +1,25 @@
-const fs = require('fs');
 const path = require('path');
+const JsonFileStore = require('./JsonFileStore');
 
 class ConfigManager {
     constructor(configPath = null) {
         this.configPath = configPath || path.join(__dirname, '../../config.json');
         this.config = null;
+        
+        // 配置文件与数据文件一样原子写入，覆盖前轮换备份到 data/backups/，损坏时从备份恢复
+        this.configName = path.basename(this.configPath, '.json');
+        this.store = new JsonFileStore(path.dirname(this.configPath), console, {
+            backupDir: path.join(__dirname, '../../data/backups')
+        });
+        this.store.recoverCorrupted([this.configName]);
         this.loadConfig();
     }
     
     loadConfig() {
         try {
-            if (fs.existsSync(this.configPath)) {
-                const configData = fs.readFileSync(this.configPath, 'utf8');
-                this.config = JSON.parse(configData);
+            const configData = this.store.get(this.configName);
+            if (configData) {
+                this.config = configData;
                 console.log('✅ Configuration loaded successfully');
             } else {
                 console.warn('⚠️  Config file not found, using default configuration');
@@ -28,7 +35,8 @@ class ConfigManager {
         return {
             server: {
                 port: 8080,
-                host: '0.0.0.0'
+                host: '0.0.0.0',
+                trustProxy: false
             },
             originalServer: {
                 url: 'http://example.com',
@@ -68,6 +76,85 @@ class ConfigManager {
                     enabled: false,
                     blacklistKeywords: [],
                     whitelistKeywords: []
+                },
+                channelRules: [],
+                vod: {
+                    enabled: true,
+                    groupKeywords: ['VOD', '点播'],
+                    extensions: ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.m4v', '.webm'],
+                    urlPatterns: ['/movie/']
+                },
+                series: {
+                    enabled: true,
+                    episodePattern: 'S(\\d{1,2})\\s*E(\\d{1,3})'
+                }
+            },
+            epg: {
+                sources: [],
+                refreshInterval: 21600000,
+                days: 3,
+                pastHours: 6,
+                timeout: 60000
+            },
+            packages: {
+                defaultPackages: []
+            },
+            catalogue: {
+                validation: {
+                    minChannels: 1,
+                    maxDropPercent: 50,
+                    requiredCategories: []
+                },
+                snapshotCount: 5,
+                historySize: 50
+            },
+            logos: {
+                enabled: true,
+                concurrency: 4,
+                timeout: 10000,
+                maxSize: 1048576,
+                refreshAfter: 604800000,
+                retryAfter: 3600000,
+                cacheMaxAge: 86400000
+            },
+            adminAuth: {
+                enabled: true,
+                sessionTtl: 43200000,
+                maxFailures: 5,
+                lockoutDuration: 900000,
+                telegramLogin: true,
+                loginCodeTtl: 300000
+            },
+            storage: {
+                backend: 'json',
+                sqliteFile: 'data/xtream-proxy.db',
+                saveDelay: 2000,
+                maxSaveDelay: 10000,
+                backupCount: 5,
+                backupInterval: 3600000
+            },
+            healthCheck: {
+                enabled: false,
+                interval: 3600000,
+                concurrency: 5,
+                timeout: 10000,
+                historySize: 24,
+                hideAfter: 0
+            },
+            catchup: {
+                enabled: true,
+                defaultDays: 7
+            },
+            streaming: {
+                mode: 'redirect',
+                relayTimeout: 15000,
+                userAgent: '',
+                hlsRewrite: true,
+                hlsTokenExpiry: 120,
+                channelModes: {},
+                failover: {
+                    cooldown: 300000,
+                    probeTimeout: 5000
                 }
             },
             playlist: {
@@ -93,10 +180,11 @@ class ConfigManager {
     
     saveConfig() {
         try {
-            fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2));
+            this.store.set(this.configName, this.config);
             console.log('✅ Configuration saved successfully');
         } catch (error) {
             console.error('❌ Error saving config:', error);
+            throw error;
         }
     }
     
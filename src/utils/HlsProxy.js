@@ -0,0 +1,159 @@
+const axios = require('axios');
+
+// 带有URI属性的HLS标签，值为改写后的资源类型
+const URI_ATTRIBUTE_TAGS = {
+    '#EXT-X-MEDIA': 'playlist',
+    '#EXT-X-I-FRAME-STREAM-INF': 'playlist',
+    '#EXT-X-KEY': 'segment',
+    '#EXT-X-SESSION-KEY': 'segment',
+    '#EXT-X-MAP': 'segment',
+    '#EXT-X-PART': 'segment',
+    '#EXT-X-PRELOAD-HINT': 'segment',
+    '#EXT-X-RENDITION-REPORT': 'playlist'
+};
+
+class HlsProxy {
+    constructor(config, logger, userManager, streamRelay) {
+        this.config = config;
+        this.logger = logger;
+        this.userManager = userManager;
+        this.streamRelay = streamRelay;
+    }
+
+    getStreamingConfig() {
+        return this.config.streaming || {};
+    }
+
+    isEnabled() {
+        return this.getStreamingConfig().hlsRewrite !== false;
+    }
+
+    // 根据URL路径判断是否为HLS播放列表
+    isPlaylistUrl(url) {
+        try {
+            const pathname = new URL(url).pathname.toLowerCase();
+            return pathname.endsWith('.m3u8') || pathname.endsWith('.m3u');
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // 拉取上游播放列表，改写所有URI后返回给客户端
+    // urls为候选地址时按优先级依次尝试；所有地址都失败时返回false
+    async servePlaylist(req, res, { url, urls = null, username, channelId, routeBase = '/live' }) {
+        const candidates = urls ? this.streamRelay.orderCandidates(urls) : [url];
+        
+        let fetched = null;
+        for (const candidate of candidates) {
+            fetched = await this.fetchPlaylist(req, candidate, channelId);
+            if (fetched) {
+                this.streamRelay.markUpstreamResult(candidate, true);
+                break;
+            }
+            this.streamRelay.markUpstreamResult(candidate, false, 'playlist fetch failed');
+        }
+        
+        if (!fetched) {
+            res.status(502).send('Bad gateway');
+            return false;
+        }
+        
+        const { content, baseUrl } = fetched;
+        const rewritten = this.rewritePlaylist(content, baseUrl, { username, channelId, routeBase });
+        
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(rewritten);
+        return true;
+    }
+    
+    async fetchPlaylist(req, url, channelId) {
+        const streaming = this.getStreamingConfig();
+        const headers = this.streamRelay.buildUpstreamHeaders(req);
+        delete headers.range;
+
+        let response;
+        try {
+            response = await axios.get(url, {
+                responseType: 'text',
+                timeout: streaming.relayTimeout || 15000,
+                headers,
+                maxRedirects: 5,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            this.logger.error(`HLS playlist fetch failed for channel ${channelId}: ${error.message}`);
+            return null;
+        }
+
+        if (response.status >= 400) {
+            this.logger.warn(`HLS upstream returned ${response.status} for channel ${channelId}`);
+            return null;
+        }
+
+        const content = typeof response.data === 'string' ? response.data : String(response.data);
+        if (!content.trimStart().startsWith('#EXTM3U')) {
+            this.logger.warn(`HLS upstream returned a non-playlist response for channel ${channelId}`);
+            return null;
+        }
+
+        // 以重定向后的最终地址作为相对URI的基准
+        return {
+            content,
+            baseUrl: response.request?.res?.responseUrl || url
+        };
+    }
+
+    // 将主播放列表/媒体播放列表中的URI改写为签名的代理地址
+    rewritePlaylist(content, baseUrl, context) {
+        const lines = content.split(/\r?\n/);
+        let nextIsVariant = false;
+
+        return lines.map(rawLine => {
+            const line = rawLine.trim();
+
+            if (!line) {
+                return rawLine;
+            }
+
+            if (line.startsWith('#')) {
+                if (line.startsWith('#EXT-X-STREAM-INF')) {
+                    nextIsVariant = true;
+                    return line;
+                }
+
+                const tag = line.split(':')[0];
+                const kind = URI_ATTRIBUTE_TAGS[tag];
+                if (kind) {
+                    return line.replace(/URI="([^"]*)"/, (match, uri) => {
+                        return `URI="${this.buildProxyUrl(uri, baseUrl, kind, context)}"`;
+                    });
+                }
+
+                return line;
+            }
+
+            const kind = nextIsVariant || this.isPlaylistUrl(this.resolveUrl(line, baseUrl)) ? 'playlist' : 'segment';
+            nextIsVariant = false;
+            return this.buildProxyUrl(line, baseUrl, kind, context);
+        }).join('\n');
+    }
+
+    resolveUrl(uri, baseUrl) {
+        try {
+            return new URL(uri, baseUrl).toString();
+        } catch (_) {
+            return uri;
+        }
+    }
+
+    buildProxyUrl(uri, baseUrl, kind, { username, channelId, routeBase }) {
+        const absoluteUrl = this.resolveUrl(uri, baseUrl);
+        const expiryMinutes = this.getStreamingConfig().hlsTokenExpiry || 120;
+        const token = this.userManager.encryptChannelUrl(absoluteUrl, username, channelId, expiryMinutes, { hls: kind });
+
+        return `${routeBase || '/live'}/encrypted/${token}?username=${encodeURIComponent(username)}`;
+    }
+}
+
+module.exports = HlsProxy;
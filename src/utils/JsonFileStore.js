@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStreamWriter = require('./JsonStreamWriter');
+
+// JSON文件存储：每个文档保存为 data/<名称>.json，与引入存储层之前的文件布局相同。
+// 写入先落到临时文件再重命名，崩溃时不会留下写了一半的文件；
+// 备份轮换保存在 data/backups/<名称>.<序号>.json（1为最新）；
+// 事务先写入日志 data/transaction.journal，崩溃后启动时按日志补完
+class JsonFileStore {
+    constructor(dataDir, logger, options = {}) {
+        this.dataDir = dataDir;
+        this.logger = logger;
+        this.backupDir = options.backupDir || path.join(dataDir, 'backups');
+        this.backupCount = options.backupCount ?? 5;
+        this.backupInterval = options.backupInterval ?? 3600000;
+        // 可重新获取的缓存文档：损坏时直接丢弃，不视为数据丢失
+        this.caches = new Set(options.caches || []);
+        
+        // 事务中尚未写入的文档：名称 -> 值（undefined表示删除）
+        this.pending = null;
+        // 加载时发现损坏并处理过的文档：{ name, backup, corruptFile, error, time }
+        this.recoveries = [];
+        
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+        this.replayJournal();
+    }
+    
+    getFile(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+    
+    getJournalFile() {
+        return path.join(this.dataDir, 'transaction.journal');
+    }
+    
+    // 上次事务写到一半时进程退出：日志中记录了事务的全部写入，重新写入一遍
+    replayJournal() {
+        const journal = this.getJournalFile();
+        if (!fs.existsSync(journal)) {
+            return;
+        }
+        
+        try {
+            const entries = JSON.parse(fs.readFileSync(journal, 'utf8'));
+            const writes = new Map(entries.map(({ name, value, deleted }) => [name, deleted ? undefined : value]));
+            this.applyWrites(writes);
+            this.logger.warn(`Completed interrupted storage transaction: ${Array.from(writes.keys()).join(', ')}`);
+        } catch (error) {
+            this.logger.error(`Discarded unreadable storage transaction journal: ${error.message}`);
+        }
+        fs.rmSync(journal, { force: true });
+    }
+    
+    getBackupFile(name, index) {
+        return path.join(this.backupDir, `${name}.${index}.json`);
+    }
+    
+    // 写入临时文件并刷到磁盘后再替换目标文件
+    writeFileAtomic(file, content) {
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeSync(fd, content);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, file);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        }
+    }
+    
+    // 覆盖前把当前文件轮换进备份，每个文档在 backupInterval 内最多备份一次；
+    // 当前文件本身无法解析时不备份，避免损坏的内容挤掉有效备份
+    rotateBackups(name) {
+        if (this.backupCount <= 0) {
+            return;
+        }
+        
+        const file = this.getFile(name);
+        const latest = this.getBackupFile(name, 1);
+        if (!fs.existsSync(file)) {
+            return;
+        }
+        if (fs.existsSync(latest) && Date.now() - fs.statSync(latest).mtimeMs < this.backupInterval) {
+            return;
+        }
+        
+        try {
+            const content = fs.readFileSync(file, 'utf8');
+            JSON.parse(content);
+            
+            fs.mkdirSync(this.backupDir, { recursive: true });
+            fs.rmSync(this.getBackupFile(name, this.backupCount), { force: true });
+            for (let index = this.backupCount - 1; index >= 1; index--) {
+                if (fs.existsSync(this.getBackupFile(name, index))) {
+                    fs.renameSync(this.getBackupFile(name, index), this.getBackupFile(name, index + 1));
+                }
+            }
+            this.writeFileAtomic(latest, content);
+        } catch (error) {
+            this.logger.warn(`Skipped backup of ${name}: ${error.message}`);
+        }
+    }
+    
+    listBackups(name) {
+        const backups = [];
+        for (let index = 1; index <= this.backupCount; index++) {
+            const file = this.getBackupFile(name, index);
+            if (fs.existsSync(file)) {
+                backups.push(file);
+            }
+        }
+        return backups;
+    }
+    
+    // 启动加载时检查一次各文档能否解析，损坏的文档交给recover处理；get本身不修改任何文件
+    recoverCorrupted(names = this.list()) {
+        for (const name of names) {
+            const file = this.getFile(name);
+            if (!fs.existsSync(file)) {
+                continue;
+            }
+            
+            try {
+                JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                this.recover(name, error);
+            }
+        }
+    }
+    
+    // 文件损坏：原文件改名保留以便排查，从最新的有效备份恢复；没有有效备份时返回null
+    recover(name, error) {
+        const file = this.getFile(name);
+        const corruptFile = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, corruptFile);
+        
+        if (this.caches.has(name)) {
+            this.logger.warn(`${name}.json cache is corrupted (${error.message}) and will be rebuilt. Corrupted file kept as ${path.relative(this.dataDir, corruptFile)}`);
+            return null;
+        }
+        
+        let value = null;
+        let backup = null;
+        for (const backupFile of this.listBackups(name)) {
+            try {
+                const content = fs.readFileSync(backupFile, 'utf8');
+                value = JSON.parse(content);
+                this.writeFileAtomic(file, content);
+                backup = backupFile;
+                break;
+            } catch (backupError) {
+                this.logger.warn(`Backup ${backupFile} is not usable: ${backupError.message}`);
+            }
+        }
+        
+        const recovery = {
+            name,
+            backup: backup ? path.relative(this.dataDir, backup) : null,
+            backupTime: backup ? fs.statSync(backup).mtimeMs : null,
+            corruptFile: path.relative(this.dataDir, corruptFile),
+            error: error.message,
+            time: Date.now()
+        };
+        this.recoveries.push(recovery);
+        
+        if (backup) {
+            this.logger.error(`🚨 ${name}.json is corrupted (${error.message}); restored from backup ${recovery.backup}, changes since ${new Date(recovery.backupTime).toISOString()} are lost. Corrupted file kept as ${recovery.corruptFile}`);
+        } else {
+            this.logger.error(`🚨 ${name}.json is corrupted (${error.message}) and no valid backup exists; starting without this data. Corrupted file kept as ${recovery.corruptFile}`);
+        }
+        return value;
+    }
+    
+    get(name) {
+        if (this.pending?.has(name)) {
+            return this.pending.get(name) ?? null;
+        }
+        
+        const file = this.getFile(name);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        
+        // 运行中损坏的文件直接抛出解析错误，由调用方处理，下次启动时再恢复
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    
+    has(name) {
+        if (this.pending?.has(name)) {
+            return this.pending.get(name) !== undefined;
+        }
+        return fs.existsSync(this.getFile(name));
+    }
+    
+    set(name, value) {
+        if (this.pending) {
+            this.pending.set(name, value);
+            return;
+        }
+        this.rotateBackups(name);
+        this.writeFileAtomic(this.getFile(name), JSON.stringify(value, null, 2));
+    }
+    
+    delete(name) {
+        if (this.pending) {
+            this.pending.set(name, undefined);
+            return;
+        }
+        fs.rmSync(this.getFile(name), { force: true });
+    }
+    
+    list() {
+        return fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -5))
+            .sort();
+    }
+    
+    // 超大文档逐条写入，避免生成完整的JSON字符串；这类文档是可重新获取的缓存，不做备份
+    async setLarge(name, value) {
+        await new JsonStreamWriter(this.getFile(name)).write(value);
+    }
+    
+    applyWrites(writes) {
+        for (const [name, value] of writes) {
+            if (value === undefined) {
+                this.delete(name);
+            } else {
+                this.set(name, value);
+            }
+        }
+    }
+    
+    // 事务内的写入先缓存，回调抛出异常时全部丢弃；回调成功后先把全部写入记录到日志并刷到磁盘，
+    // 再依次写入各文件，全部完成后删除日志。中途崩溃时由下次启动的replayJournal补完，
+    // 各文档不会停留在一部分已更新、一部分未更新的状态
+    transaction(fn) {
+        if (this.pending) {
+            return fn();
+        }
+        
+        this.pending = new Map();
+        try {
+            const result = fn();
+            const writes = this.pending;
+            this.pending = null;
+            
+            if (writes.size > 1) {
+                // 删除单独标记，值为null的文档不会被当作删除
+                const entries = Array.from(writes, ([name, value]) => (value === undefined ? { name, deleted: true } : { name, value }));
+                this.writeFileAtomic(this.getJournalFile(), JSON.stringify(entries));
+            }
+            this.applyWrites(writes);
+            fs.rmSync(this.getJournalFile(), { force: true });
+            return result;
+        } finally {
+            this.pending = null;
+        }
+    }
+    
+    getLocation() {
+        return this.dataDir;
+    }
+    
+    getRecoveries() {
+        return this.recoveries;
+    }
+    
+    close() {}
+}
+
+module.exports = JsonFileStore;
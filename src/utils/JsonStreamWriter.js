@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { once } = require('events');
+
+// 以流的方式写入JSON：数组逐个元素序列化，避免一次性生成整个文件的字符串
+class JsonStreamWriter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.stream = null;
+    }
+    
+    // 先写入临时文件，完成后再替换目标文件，写入中途失败不会损坏原有缓存
+    async write(data) {
+        const tempFile = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+        this.stream = fs.createWriteStream(tempFile, { encoding: 'utf8' });
+        
+        try {
+            for (const chunk of JsonStreamWriter.serialize(data)) {
+                await this.writeChunk(chunk);
+            }
+            this.stream.end();
+            await once(this.stream, 'finish');
+            fs.renameSync(tempFile, this.filePath);
+        } catch (error) {
+            this.stream.destroy();
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        } finally {
+            this.stream = null;
+        }
+    }
+    
+    async writeChunk(chunk) {
+        if (!this.stream.write(chunk)) {
+            await once(this.stream, 'drain');
+        }
+    }
+    
+    // 逐段生成JSON文本，其他需要分段写入的存储（如SQLite）也使用
+    static *serialize(value) {
+        if (Array.isArray(value)) {
+            yield '[';
+            for (let i = 0; i < value.length; i++) {
+                yield (i > 0 ? ',' : '') + (JSON.stringify(value[i]) ?? 'null');
+            }
+            yield ']';
+            return;
+        }
+        
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            yield '{';
+            let first = true;
+            for (const [key, item] of Object.entries(value)) {
+                if (item === undefined || typeof item === 'function') continue;
+                yield `${first ? '' : ','}${JSON.stringify(key)}:`;
+                yield* JsonStreamWriter.serialize(item);
+                first = false;
+            }
+            yield '}';
+            return;
+        }
+        
+        yield JSON.stringify(value) ?? 'null';
+    }
+}
+
+module.exports = JsonStreamWriter;
@@ -0,0 +1,178 @@
+const readline = require('readline');
+
+// 常用属性到频道字段的映射
+const ATTRIBUTE_FIELDS = {
+    'tvg-id': 'tvgId',
+    'tvg-name': 'tvgName',
+    'tvg-logo': 'logo',
+    'group-title': 'category',
+    'tvg-chno': 'number',
+    'tvg-shift': 'timeshift',
+    'catchup': 'catchup',
+    'catchup-source': 'catchupSource',
+    'catchup-days': 'catchupDays'
+};
+
+// 保留并透传到输出播放列表的条目指令
+const ENTRY_DIRECTIVES = ['#EXTVLCOPT', '#KODIPROP', '#EXTGRP', '#EXTHTTP'];
+
+class M3UParser {
+    // 解析完整的M3U内容，返回头部属性和条目列表
+    parse(content) {
+        const state = this.createState();
+        for (const line of String(content || '').split(/\r?\n/)) {
+            this.processLine(state, line);
+        }
+        return { header: state.header, entries: state.entries };
+    }
+    
+    // 逐行解析可读流（如HTTP响应体），不在内存中保留完整的原始文本
+    async parseStream(stream) {
+        const state = this.createState();
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        
+        for await (const line of lines) {
+            this.processLine(state, line);
+        }
+        
+        return { header: state.header, entries: state.entries };
+    }
+    
+    createState() {
+        return {
+            header: {},
+            entries: [],
+            current: null,
+            pendingDirectives: []
+        };
+    }
+    
+    processLine(state, rawLine) {
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        if (line.startsWith('#EXTM3U')) {
+            state.header = this.parseAttributes(line.slice('#EXTM3U'.length)).attributes;
+            return;
+        }
+        
+        if (line.startsWith('#EXTINF:')) {
+            const current = this.parseExtinf(line);
+            current.directives = state.pendingDirectives;
+            state.pendingDirectives = [];
+            
+            const groupDirective = current.directives.find(directive => directive.startsWith('#EXTGRP:'));
+            if (groupDirective && !current.category) {
+                current.category = groupDirective.slice('#EXTGRP:'.length).trim();
+            }
+            
+            state.current = current;
+            return;
+        }
+        
+        if (line.startsWith('#')) {
+            const tag = line.split(':')[0];
+            if (!ENTRY_DIRECTIVES.includes(tag)) return;
+            
+            // 出现在#EXTINF之前的指令归属于下一个条目
+            if (state.current) {
+                state.current.directives.push(line);
+            } else {
+                state.pendingDirectives.push(line);
+            }
+            
+            if (tag === '#EXTGRP' && state.current && !state.current.category) {
+                state.current.category = line.slice('#EXTGRP:'.length).trim();
+            }
+            return;
+        }
+        
+        if (state.current) {
+            state.current.url = line;
+            state.entries.push(state.current);
+            state.current = null;
+        }
+    }
+    
+    // 解析 #EXTINF:<时长> <属性>,<标题>
+    parseExtinf(line) {
+        const body = line.slice('#EXTINF:'.length);
+        const durationMatch = body.match(/^\s*(-?\d+(?:\.\d+)?)/);
+        const rest = durationMatch ? body.slice(durationMatch[0].length) : body;
+        const { attributes, remainder } = this.parseAttributes(rest);
+        
+        const entry = {
+            name: remainder.replace(/^\s*,/, '').trim(),
+            logo: '',
+            category: '',
+            tvgId: '',
+            tvgName: '',
+            duration: durationMatch ? parseFloat(durationMatch[1]) : -1,
+            attributes
+        };
+        
+        for (const [attribute, field] of Object.entries(ATTRIBUTE_FIELDS)) {
+            if (attributes[attribute] !== undefined) {
+                entry[field] = attributes[attribute];
+            }
+        }
+        
+        // 部分源使用logo代替tvg-logo
+        if (!entry.logo && attributes.logo) {
+            entry.logo = attributes.logo;
+        }
+        
+        return entry;
+    }
+    
+    // 逐字符解析属性，支持双引号、单引号（可包含逗号）和不带引号的值；
+    // 遇到属性区外的逗号时停止，剩余部分为标题
+    parseAttributes(text) {
+        const attributes = {};
+        let i = 0;
+        
+        while (i < text.length) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (i >= text.length || text[i] === ',') break;
+            
+            let key = '';
+            while (i < text.length && !/[\s=,]/.test(text[i])) {
+                key += text[i++];
+            }
+            
+            if (text[i] !== '=') {
+                if (key) attributes[key.toLowerCase()] = '';
+                continue;
+            }
+            i++;
+            
+            let value = '';
+            const quote = text[i];
+            if (quote === '"' || quote === "'") {
+                i++;
+                while (i < text.length && text[i] !== quote) {
+                    value += text[i++];
+                }
+                i++;
+            } else {
+                while (i < text.length && !/[\s,]/.test(text[i])) {
+                    value += text[i++];
+                }
+            }
+            
+            attributes[key.toLowerCase()] = value;
+        }
+        
+        return { attributes, remainder: text.slice(i) };
+    }
+    
+    // 生成属性字符串，值中的双引号替换为单引号
+    serializeAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}="${String(value).replace(/"/g, "'")}"`)
+            .join(' ');
+    }
+}
+
+module.exports = M3UParser;
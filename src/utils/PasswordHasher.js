@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt参数，保存在哈希中，以后调整参数不影响已有密码
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// 密码哈希：格式为 scrypt$N$r$p$salt$hash（salt和hash为base64），比较使用恒定时间
+class PasswordHasher {
+    constructor(params = {}) {
+        this.params = { ...SCRYPT_PARAMS, ...params };
+    }
+    
+    isHash(value) {
+        return typeof value === 'string' && value.startsWith('scrypt$') && value.split('$').length === 6;
+    }
+    
+    format(salt, hash) {
+        const { N, r, p } = this.params;
+        return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+    
+    parse(stored) {
+        if (!this.isHash(stored)) {
+            return null;
+        }
+        
+        const [, N, r, p, salt, hash] = stored.split('$');
+        return {
+            options: { N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: 256 * parseInt(N) * parseInt(r) },
+            salt: Buffer.from(salt, 'base64'),
+            expected: Buffer.from(hash, 'base64')
+        };
+    }
+    
+    async hash(password) {
+        const { N, r, p, keylen } = this.params;
+        const salt = crypto.randomBytes(16);
+        return this.format(salt, await scrypt(String(password), salt, keylen, { N, r, p }));
+    }
+    
+    async verify(password, stored) {
+        const parsed = this.parse(stored);
+        if (!parsed) {
+            return false;
+        }
+        
+        const actual = await scrypt(String(password), parsed.salt, parsed.expected.length, parsed.options);
+        return crypto.timingSafeEqual(parsed.expected, actual);
+    }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+// 取消进行中的axios请求：优先使用全局AbortController，
+// Node.js 14 等没有AbortController的版本退回axios的CancelToken
+class RequestCanceller {
+    constructor() {
+        this.aborted = false;
+        if (typeof AbortController === 'function') {
+            this.controller = new AbortController();
+        } else {
+            this.source = axios.CancelToken.source();
+        }
+    }
+    
+    // 合并到axios的请求配置中
+    getRequestOptions() {
+        return this.controller ? { signal: this.controller.signal } : { cancelToken: this.source.token };
+    }
+    
+    abort() {
+        if (this.aborted) {
+            return;
+        }
+        
+        this.aborted = true;
+        if (this.controller) {
+            this.controller.abort();
+        } else {
+            this.source.cancel('aborted');
+        }
+    }
+}
+
+module.exports = RequestCanceller;
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStreamWriter = require('./JsonStreamWriter');
+
+// 超大文档每行保存的JSON文本长度
+const CHUNK_SIZE = 1024 * 1024;
+
+// SQLite存储：所有文档保存在一个数据库文件的documents表中，写入在事务内完成；
+// 频道缓存等超大文档分段保存在large_documents表中
+class SqliteStore {
+    constructor(file, logger) {
+        this.file = file;
+        this.logger = logger;
+        
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage requires Node.js 20+ and the better-sqlite3 package (npm install better-sqlite3)');
+        }
+        
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS large_documents (
+                name TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                chunk TEXT NOT NULL,
+                PRIMARY KEY (name, seq)
+            )
+        `);
+        
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM documents WHERE name = ?'),
+            has: this.db.prepare('SELECT 1 FROM documents WHERE name = ?'),
+            set: this.db.prepare(`
+                INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM documents WHERE name = ?'),
+            list: this.db.prepare(`
+                SELECT name FROM documents
+                UNION SELECT DISTINCT name FROM large_documents WHERE name NOT LIKE '%.staging.%'
+                ORDER BY name
+            `),
+            getChunks: this.db.prepare('SELECT chunk FROM large_documents WHERE name = ? ORDER BY seq'),
+            hasChunks: this.db.prepare('SELECT 1 FROM large_documents WHERE name = ? LIMIT 1'),
+            insertChunk: this.db.prepare('INSERT INTO large_documents (name, seq, chunk) VALUES (?, ?, ?)'),
+            deleteChunks: this.db.prepare('DELETE FROM large_documents WHERE name = ?'),
+            renameChunks: this.db.prepare('UPDATE large_documents SET name = ? WHERE name = ?')
+        };
+        
+        // 上次写入超大文档时中断留下的分段
+        this.db.prepare("DELETE FROM large_documents WHERE name LIKE '%.staging.%'").run();
+        this.stagingSeq = 0;
+    }
+    
+    get(name) {
+        const row = this.statements.get.get(name);
+        if (row) {
+            return JSON.parse(row.value);
+        }
+        
+        const chunks = this.statements.getChunks.all(name);
+        return chunks.length > 0 ? JSON.parse(chunks.map(row => row.chunk).join('')) : null;
+    }
+    
+    has(name) {
+        return !!this.statements.has.get(name) || !!this.statements.hasChunks.get(name);
+    }
+    
+    set(name, value) {
+        this.transaction(() => {
+            this.statements.deleteChunks.run(name);
+            this.statements.set.run(name, JSON.stringify(value), Date.now());
+        });
+    }
+    
+    delete(name) {
+        this.transaction(() => {
+            this.statements.delete.run(name);
+            this.statements.deleteChunks.run(name);
+        });
+    }
+    
+    list() {
+        return this.statements.list.all().map(row => row.name);
+    }
+    
+    // 超大文档逐段序列化并分段写入临时名称，每段之间让出事件循环，不生成完整的JSON字符串；
+    // 全部写完后在一个事务中替换旧文档，写入中断时旧文档保持不变
+    async setLarge(name, value) {
+        const staging = `${name}.staging.${++this.stagingSeq}`;
+        
+        try {
+            let seq = 0;
+            let buffer = '';
+            for (const chunk of JsonStreamWriter.serialize(value)) {
+                buffer += chunk;
+                if (buffer.length >= CHUNK_SIZE) {
+                    this.statements.insertChunk.run(staging, seq++, buffer);
+                    buffer = '';
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+            this.statements.insertChunk.run(staging, seq, buffer);
+            
+            this.transaction(() => {
+                this.statements.delete.run(name);
+                this.statements.deleteChunks.run(name);
+                this.statements.renameChunks.run(name, staging);
+            });
+        } catch (error) {
+            this.statements.deleteChunks.run(staging);
+            throw error;
+        }
+    }
+    
+    // 嵌套事务使用SAVEPOINT，回调抛出异常时回滚
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+    
+    getLocation() {
+        return this.file;
+    }
+    
+    // SQLite通过WAL日志保证写入完整，不需要从备份恢复
+    getRecoveries() {
+        return [];
+    }
+    
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = SqliteStore;
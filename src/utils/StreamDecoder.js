@@ -0,0 +1,34 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+
+// 下载内容解码：根据前两个字节判断是否为gzip（如 .m3u.gz、.xml.gz 文件），是则边下载边解压
+class StreamDecoder {
+    static decode(source) {
+        const output = new PassThrough();
+        let sink = null;
+        
+        source.on('data', (chunk) => {
+            if (!sink) {
+                if (chunk[0] === 0x1f && chunk[1] === 0x8b) {
+                    sink = zlib.createGunzip();
+                    sink.on('error', (error) => output.destroy(error));
+                    sink.pipe(output);
+                } else {
+                    sink = output;
+                }
+            }
+            
+            if (!sink.write(chunk)) {
+                source.pause();
+                sink.once('drain', () => source.resume());
+            }
+        });
+        
+        source.on('end', () => (sink || output).end());
+        source.on('error', (error) => output.destroy(error));
+        
+        return output;
+    }
+}
+
+module.exports = StreamDecoder;
@@ -0,0 +1,253 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const RequestCanceller = require('./RequestCanceller');
+
+// 需要透传给上游的请求头
+const FORWARDED_REQUEST_HEADERS = ['range', 'accept', 'accept-encoding'];
+
+// 需要回传给客户端的响应头
+const FORWARDED_RESPONSE_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'cache-control',
+    'last-modified',
+    'etag'
+];
+
+class StreamRelay {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+
+        // 当前正在中继的连接
+        this.openRelays = new Map();
+        this.upstreamHealth = null;
+    }
+    
+    setUpstreamHealth(upstreamHealth) {
+        this.upstreamHealth = upstreamHealth;
+    }
+    
+    // 按健康状态排列候选上游地址
+    orderCandidates(urls) {
+        return this.upstreamHealth ? this.upstreamHealth.orderCandidates(urls) : urls;
+    }
+    
+    markUpstreamResult(url, ok, reason = '') {
+        if (!this.upstreamHealth) return;
+        
+        if (ok) {
+            this.upstreamHealth.markSuccess(url);
+        } else {
+            this.upstreamHealth.markFailure(url, reason);
+        }
+    }
+    
+    // 重定向模式下选择可用的上游地址，只有一个候选时不做探测
+    async selectRedirectUrl(req, urls) {
+        if (!this.upstreamHealth || urls.length <= 1) {
+            return urls[0] || null;
+        }
+        return this.upstreamHealth.selectUrl(urls, this.buildUpstreamHeaders(req));
+    }
+
+    getStreamingConfig() {
+        return this.config.streaming || {};
+    }
+
+    // 获取频道的播放模式：'redirect'（302重定向）或 'relay'（代理中继）
+    getStreamMode(channel) {
+        const streaming = this.getStreamingConfig();
+        const channelModes = streaming.channelModes || {};
+
+        if (channel) {
+            const override = channelModes[String(channel.id)] || channel.streamMode;
+            if (override === 'relay' || override === 'redirect') {
+                return override;
+            }
+        }
+
+        return streaming.mode === 'relay' ? 'relay' : 'redirect';
+    }
+
+    isRelayMode(channel) {
+        return this.getStreamMode(channel) === 'relay';
+    }
+
+    buildUpstreamHeaders(req) {
+        const headers = {
+            'User-Agent': this.getStreamingConfig().userAgent || req.headers['user-agent'] || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        };
+
+        for (const name of FORWARDED_REQUEST_HEADERS) {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        }
+
+        return headers;
+    }
+
+    // 将上游字节流中继给客户端，客户端断开时关闭上游连接
+    // upstreamUrl可以是候选地址数组，连接失败、非2xx或超时时依次尝试下一个
+    async relay(req, res, upstreamUrl, options = {}) {
+        const { onClose = null, onActivity = null, label = '' } = options;
+        const candidates = Array.isArray(upstreamUrl) ? this.orderCandidates(upstreamUrl) : [upstreamUrl];
+        const streaming = this.getStreamingConfig();
+        const relayId = uuidv4();
+        const canceller = new RequestCanceller();
+
+        let closed = false;
+        const finish = (reason) => {
+            if (closed) return;
+            closed = true;
+
+            canceller.abort();
+            this.openRelays.delete(relayId);
+
+            this.logger.debug(`Relay closed (${reason}): ${label}`);
+
+            if (onClose) {
+                try {
+                    onClose(reason);
+                } catch (error) {
+                    this.logger.error('Relay close callback error:', error.message);
+                }
+            }
+        };
+
+        this.openRelays.set(relayId, {
+            label,
+            upstreamUrl: candidates[0],
+            startTime: Date.now(),
+            bytes: 0,
+            close: () => {
+                finish('shutdown');
+                if (!res.writableEnded) {
+                    res.destroy();
+                }
+            }
+        });
+
+        // 客户端断开（包括正常结束）时清理
+        res.on('close', () => finish('client closed'));
+
+        let response = null;
+        for (const candidate of candidates) {
+            try {
+                response = await axios.get(candidate, {
+                    responseType: 'stream',
+                    timeout: streaming.relayTimeout || 15000,
+                    headers: this.buildUpstreamHeaders(req),
+                    ...canceller.getRequestOptions(),
+                    maxRedirects: 5,
+                    validateStatus: () => true,
+                    decompress: false
+                });
+            } catch (error) {
+                if (closed) {
+                    return false;
+                }
+                this.logger.error(`Relay upstream error for ${label}: ${error.message}`);
+                this.markUpstreamResult(candidate, false, error.code || error.message);
+                response = null;
+                continue;
+            }
+            
+            if (closed) {
+                response.data.destroy();
+                return false;
+            }
+            
+            if (response.status >= 400) {
+                this.logger.warn(`Relay upstream returned ${response.status} for ${label}`);
+                this.markUpstreamResult(candidate, false, `HTTP ${response.status}`);
+                response.data.destroy();
+                response = null;
+                continue;
+            }
+            
+            this.markUpstreamResult(candidate, true);
+            const relayInfo = this.openRelays.get(relayId);
+            if (relayInfo) {
+                relayInfo.upstreamUrl = candidate;
+            }
+            break;
+        }
+
+        if (!response) {
+            if (!res.headersSent) {
+                res.status(502).send('Bad gateway');
+            }
+            finish('upstream error');
+            return false;
+        }
+
+        res.status(response.status);
+        for (const name of FORWARDED_RESPONSE_HEADERS) {
+            if (response.headers[name]) {
+                res.setHeader(name, response.headers[name]);
+            }
+        }
+        if (response.headers['content-encoding']) {
+            res.setHeader('content-encoding', response.headers['content-encoding']);
+        }
+
+        const relayInfo = this.openRelays.get(relayId);
+        let lastActivity = Date.now();
+
+        response.data.on('data', (chunk) => {
+            if (relayInfo) {
+                relayInfo.bytes += chunk.length;
+            }
+
+            // 最多每30秒上报一次活跃状态，避免长连接被当作不活跃流清理
+            const now = Date.now();
+            if (onActivity && now - lastActivity > 30000) {
+                lastActivity = now;
+                onActivity();
+            }
+        });
+
+        response.data.on('error', (error) => {
+            if (!closed) {
+                this.logger.warn(`Relay upstream stream error for ${label}: ${error.message}`);
+                res.destroy();
+                finish('upstream stream error');
+            }
+        });
+
+        response.data.on('end', () => finish('upstream ended'));
+
+        response.data.pipe(res);
+        return true;
+    }
+
+    getOpenRelayCount() {
+        return this.openRelays.size;
+    }
+
+    getOpenRelays() {
+        return Array.from(this.openRelays.values()).map(relay => ({
+            label: relay.label,
+            startTime: relay.startTime,
+            bytes: relay.bytes
+        }));
+    }
+
+    closeAll() {
+        for (const relay of Array.from(this.openRelays.values())) {
+            relay.close();
+        }
+    }
+
+    async gracefulShutdown() {
+        const count = this.openRelays.size;
+        this.closeAll();
+        this.logger.info(`✅ StreamRelay shutdown completed (${count} relays closed)`);
+    }
+}
+
+module.exports = StreamRelay;
@@ -0,0 +1,122 @@
+const axios = require('axios');
+
+// 记录上游地址的健康状态，失败的地址在冷却期内排到候选列表末尾
+class UpstreamHealth {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        
+        // 上游地址 -> { failures, lastFailure, until, reason }
+        this.failures = new Map();
+    }
+    
+    getFailoverConfig() {
+        return {
+            cooldown: 300000,
+            probeTimeout: 5000,
+            ...(this.config.streaming?.failover || {})
+        };
+    }
+    
+    isCoolingDown(url) {
+        const state = this.failures.get(url);
+        return !!state && state.until > Date.now();
+    }
+    
+    // 健康的地址保持原有优先级顺序，冷却中的地址作为最后的备选
+    orderCandidates(urls) {
+        const unique = Array.from(new Set((urls || []).filter(Boolean)));
+        const healthy = unique.filter(url => !this.isCoolingDown(url));
+        const cooling = unique
+            .filter(url => this.isCoolingDown(url))
+            .sort((a, b) => this.failures.get(a).until - this.failures.get(b).until);
+        
+        return [...healthy, ...cooling];
+    }
+    
+    markFailure(url, reason = '') {
+        const { cooldown } = this.getFailoverConfig();
+        const previous = this.failures.get(url);
+        const now = Date.now();
+        
+        this.failures.set(url, {
+            failures: (previous?.failures || 0) + 1,
+            lastFailure: now,
+            until: now + cooldown,
+            reason
+        });
+        
+        this.logger.warn(`Upstream marked unhealthy for ${Math.round(cooldown / 1000)}s (${reason}): ${url}`);
+    }
+    
+    markSuccess(url) {
+        if (this.failures.delete(url)) {
+            this.logger.info(`Upstream recovered: ${url}`);
+        }
+    }
+    
+    // 探测上游是否可用：只读取响应头，随即关闭连接
+    async probe(url, headers = {}) {
+        const { probeTimeout } = this.getFailoverConfig();
+        
+        try {
+            const response = await axios.get(url, {
+                responseType: 'stream',
+                timeout: probeTimeout,
+                headers,
+                maxRedirects: 5,
+                validateStatus: () => true
+            });
+            response.data.destroy();
+            
+            if (response.status >= 400) {
+                return { ok: false, reason: `HTTP ${response.status}` };
+            }
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, reason: error.code || error.message };
+        }
+    }
+    
+    // 按优先级依次探测候选地址，返回第一个可用的地址
+    async selectUrl(urls, headers = {}) {
+        const candidates = this.orderCandidates(urls);
+        if (candidates.length <= 1) {
+            return candidates[0] || null;
+        }
+        
+        for (const url of candidates) {
+            const result = await this.probe(url, headers);
+            if (result.ok) {
+                this.markSuccess(url);
+                return url;
+            }
+            this.markFailure(url, result.reason);
+        }
+        
+        return null;
+    }
+    
+    getStatus() {
+        const now = Date.now();
+        return Array.from(this.failures.entries()).map(([url, state]) => ({
+            url,
+            failures: state.failures,
+            lastFailure: state.lastFailure,
+            coolingDown: state.until > now,
+            reason: state.reason
+        }));
+    }
+    
+    // 清理冷却期已过的记录
+    cleanup() {
+        const now = Date.now();
+        for (const [url, state] of this.failures.entries()) {
+            if (state.until <= now) {
+                this.failures.delete(url);
+            }
+        }
+    }
+}
+
+module.exports = UpstreamHealth;
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const CatchupBuilder = require('../src/utils/CatchupBuilder');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const builder = new CatchupBuilder({ catchup: { defaultDays: 3 } }, logger);
+
+// 2024-01-02 03:04:05 UTC
+const START = Date.UTC(2024, 0, 2, 3, 4, 5);
+
+describe('CatchupBuilder', () => {
+    it('getCatchupInfo reads channel attributes and falls back to the playlist header', () => {
+        const channel = { attributes: { catchup: 'Default', 'catchup-source': 'http://a/{utc}', 'catchup-days': '5' } };
+        assert.deepStrictEqual(builder.getCatchupInfo(channel), { type: 'default', source: 'http://a/{utc}', days: 5 });
+        
+        const header = { catchup: 'shift', 'catchup-days': '2' };
+        assert.deepStrictEqual(builder.getCatchupInfo({ attributes: {} }, header), { type: 'shift', source: '', days: 2 });
+        assert.strictEqual(builder.getCatchupInfo({ attributes: { catchup: 'xc' } }).days, 3);
+    });
+    
+    it('getCatchupInfo rejects unknown types and templates without a source', () => {
+        assert.strictEqual(builder.getCatchupInfo({ attributes: { catchup: 'vod' } }), null);
+        assert.strictEqual(builder.getCatchupInfo({ attributes: { catchup: 'append' } }), null);
+        assert.strictEqual(builder.getCatchupInfo({}), null);
+    });
+    
+    it('default and append templates replace placeholders and divisors', () => {
+        const info = { type: 'default', source: 'http://a/{Y}{m}{d}-{H}{M}{S}?start=${start}&end={utcend}&len={duration:60}&x={unknown}' };
+        assert.strictEqual(
+            builder.buildArchiveUrl({ url: 'http://live' }, info, START, 3600),
+            `http://a/20240102-030405?start=${START / 1000}&end=${START / 1000 + 3600}&len=60&x={unknown}`
+        );
+        
+        const append = { type: 'append', source: '?utc={utc}' };
+        assert.strictEqual(builder.buildArchiveUrl({ url: 'http://live/ch.m3u8' }, append, START, 60), `http://live/ch.m3u8?utc=${START / 1000}`);
+    });
+    
+    it('shift appends utc and lutc parameters', () => {
+        const url = builder.buildArchiveUrl({ url: 'http://live/ch.m3u8?token=1' }, { type: 'shift' }, START, 60);
+        assert.match(url, new RegExp(`^http://live/ch\\.m3u8\\?token=1&utc=${START / 1000}&lutc=\\d+$`));
+    });
+    
+    it('flussonic URLs use the archive naming for HLS and MPEG-TS', () => {
+        assert.strictEqual(
+            builder.buildArchiveUrl({ url: 'http://host/ch1/index.m3u8?token=x' }, { type: 'flussonic' }, START, 1800),
+            `http://host/ch1/index-${START / 1000}-1800.m3u8?token=x`
+        );
+        assert.strictEqual(
+            builder.buildArchiveUrl({ url: 'http://host/ch1/mpegts' }, { type: 'fs' }, START, 1800),
+            `http://host/ch1/timeshift_abs-${START / 1000}.ts`
+        );
+    });
+    
+    it('xc URLs are rewritten to the Xtream timeshift path', () => {
+        assert.strictEqual(
+            builder.buildArchiveUrl({ url: 'http://host/live/user/pass/42.ts' }, { type: 'xc' }, START, 5400),
+            'http://host/timeshift/user/pass/90/2024-01-02:03-04/42.ts'
+        );
+        assert.strictEqual(builder.buildArchiveUrl({ url: 'http://host/a/b/c/d/42.ts' }, { type: 'xc' }, START, 60), null);
+    });
+    
+    it('parseStartTime accepts Xtream dates in local time and Unix timestamps', () => {
+        assert.strictEqual(builder.parseStartTime('2024-01-02:03-04'), new Date(2024, 0, 2, 3, 4, 0).getTime());
+        assert.strictEqual(builder.parseStartTime('2024-01-02 03:04:05'), new Date(2024, 0, 2, 3, 4, 5).getTime());
+        assert.strictEqual(builder.parseStartTime('1704164645'), 1704164645000);
+        assert.strictEqual(builder.parseStartTime('yesterday'), null);
+    });
+    
+    it('isWithinArchive only allows past times inside the archive window', () => {
+        const info = { days: 1 };
+        assert.strictEqual(builder.isWithinArchive(info, Date.now() - 3600000), true);
+        assert.strictEqual(builder.isWithinArchive(info, Date.now() - 2 * 86400000), false);
+        assert.strictEqual(builder.isWithinArchive(info, Date.now() + 60000), false);
+    });
+});
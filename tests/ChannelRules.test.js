@@ -0,0 +1,95 @@
+const assert = require('assert');
+const ChannelRules = require('../src/utils/ChannelRules');
+
+function createLogger() {
+    const errors = [];
+    return { errors, info() {}, warn() {}, debug() {}, error: message => errors.push(message) };
+}
+
+const CHANNELS = [
+    { id: 1, name: 'CCTV-1 HD', category: '央视', tvgId: 'cctv1', url: 'http://a/1', source: 'main' },
+    { id: 2, name: 'CCTV-13 HD', category: '央视', tvgId: 'cctv13', url: 'http://a/13', source: 'main' },
+    { id: 3, name: '湖南卫视', category: '卫视', tvgId: 'hunan', url: 'http://b/3', source: 'backup' },
+    { id: 4, name: 'Adult 1', category: 'XXX', tvgId: '', url: 'http://b/4', source: 'backup' }
+];
+
+describe('ChannelRules', () => {
+    it('applies drop, rename, category and sort rules in order', () => {
+        const rules = new ChannelRules({}, createLogger());
+        const result = rules.apply(CHANNELS, [
+            { name: 'adult', match: { group: '^xxx$' }, action: 'drop' },
+            { match: { name: '^(.*?)\\s*HD$' }, action: 'rename', value: '$1' },
+            { match: { source: 'backup', name: '卫视' }, action: 'category', value: '地方' },
+            { match: { name: '^CCTV-(?<number>\\d+)' }, action: 'sort', value: '$<number>', stop: true }
+        ]);
+        
+        assert.deepStrictEqual(result.channels.map(channel => [channel.name, channel.category, channel.sortOrder]), [
+            ['CCTV-1', '央视', 1],
+            ['CCTV-13', '央视', 13],
+            ['湖南卫视', '地方', undefined]
+        ]);
+        assert.deepStrictEqual(result.hits.map(hit => hit.channels.length), [1, 2, 1, 2]);
+        assert.deepStrictEqual(result.hits[0].channels[0], { id: 4, before: { name: 'Adult 1', category: 'XXX' }, after: null });
+        assert.strictEqual(CHANNELS[0].name, 'CCTV-1 HD');
+    });
+    
+    it('stop prevents later rules from running', () => {
+        const rules = new ChannelRules({}, createLogger());
+        const { channels } = rules.apply(CHANNELS.slice(0, 1), [
+            { match: { tvgId: '^cctv1$' }, action: 'logo', value: 'http://logo/$0.png', stop: true },
+            { match: { name: 'CCTV' }, action: 'drop' }
+        ]);
+        assert.strictEqual(channels.length, 1);
+        assert.strictEqual(channels[0].logo, 'http://logo/cctv1.png');
+    });
+    
+    it('explicit rules with errors throw for the dry-run', () => {
+        const rules = new ChannelRules({}, createLogger());
+        assert.throws(() => rules.apply(CHANNELS, [{ match: { name: 'x' }, action: 'explode' }]), /unknown action/);
+        assert.throws(() => rules.apply(CHANNELS, [{ match: { title: 'x' }, action: 'drop' }]), /unknown field/);
+        assert.throws(() => rules.apply(CHANNELS, [{ match: { name: '(' }, action: 'drop' }]), /invalid pattern/);
+        assert.throws(() => rules.apply(CHANNELS, [{ match: {}, action: 'drop' }]), /at least one field/);
+        assert.throws(() => rules.apply(CHANNELS, [{ match: { name: 'x' }, action: 'sort', value: 'first' }]), /must be a number/);
+    });
+    
+    it('invalid rules in config are logged and skipped when the config loads', () => {
+        const logger = createLogger();
+        const config = {
+            features: {
+                channelRules: [
+                    { name: 'broken', match: { name: '(' }, action: 'drop' },
+                    { match: { group: '^xxx$' }, action: 'drop' },
+                    { match: { name: 'x' }, action: 'sort', value: 'abc' },
+                    { match: { name: '湖南' }, action: 'drop', enabled: false }
+                ]
+            }
+        };
+        
+        const rules = new ChannelRules(config, logger);
+        assert.strictEqual(logger.errors.length, 2);
+        assert.match(logger.errors[0], /Rule broken: invalid pattern/);
+        assert.match(logger.errors[1], /Rule #3: sort value must be a number/);
+        
+        const { channels, hits } = rules.apply(CHANNELS);
+        assert.deepStrictEqual(channels.map(channel => channel.id), [1, 2, 3]);
+        assert.strictEqual(hits.length, 1);
+        assert.strictEqual(logger.errors.length, 2);
+    });
+    
+    it('config rules are recompiled when the rule list is replaced', () => {
+        const config = { features: { channelRules: [] } };
+        const rules = new ChannelRules(config, createLogger());
+        assert.strictEqual(rules.apply(CHANNELS).channels.length, 4);
+        
+        config.features.channelRules = [{ match: { source: '^backup$' }, action: 'drop' }];
+        assert.strictEqual(rules.apply(CHANNELS).channels.length, 2);
+    });
+    
+    it('sort values that do not expand to a number are ignored', () => {
+        const rules = new ChannelRules({}, createLogger());
+        const { channels } = rules.apply(CHANNELS.slice(0, 3), [
+            { match: { name: '^(\\S+)' }, action: 'sort', value: '$1' }
+        ]);
+        assert.deepStrictEqual(channels.map(channel => [channel.id, channel.sortOrder]), [[1, undefined], [2, undefined], [3, undefined]]);
+    });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../src/utils/JsonFileStore');
+
+function createLogger() {
+    const messages = { warn: [], error: [] };
+    return { messages, info() {}, debug() {}, warn: message => messages.warn.push(message), error: message => messages.error.push(message) };
+}
+
+function createStore(options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    const logger = createLogger();
+    const store = new JsonFileStore(dataDir, logger, options);
+    return { dataDir, logger, store };
+}
+
+function cleanup(dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+describe('JsonFileStore', () => {
+    it('set writes pretty-printed JSON and rotates backups at most once per interval', () => {
+        const { dataDir, store } = createStore({ backupCount: 2, backupInterval: 3600000 });
+        const versions = () => store.listBackups('users').map(file => JSON.parse(fs.readFileSync(file, 'utf8')).version);
+        const age = () => {
+            const past = new Date(Date.now() - 7200000);
+            fs.utimesSync(store.getBackupFile('users', 1), past, past);
+        };
+        try {
+            store.set('users', { version: 1 });
+            store.set('users', { version: 2 });
+            store.set('users', { version: 3 });
+            assert.deepStrictEqual(versions(), [1]);
+            
+            age();
+            store.set('users', { version: 4 });
+            age();
+            store.set('users', { version: 5 });
+            
+            assert.strictEqual(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'), JSON.stringify({ version: 5 }, null, 2));
+            assert.deepStrictEqual(versions(), [4, 3]);
+            assert.deepStrictEqual(store.list(), ['users']);
+            assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('a corrupted file is kept aside and restored from the latest valid backup', () => {
+        const { dataDir, logger, store } = createStore();
+        try {
+            store.set('users', { alice: 1 });
+            store.set('users', { alice: 1, bob: 2 });
+            fs.writeFileSync(store.getBackupFile('users', 1), '{"alice":');
+            fs.writeFileSync(store.getBackupFile('users', 2), JSON.stringify({ alice: 1 }));
+            fs.writeFileSync(path.join(dataDir, 'users.json'), '{"alice":1,"bo');
+            
+            assert.throws(() => store.get('users'), SyntaxError);
+            assert.deepStrictEqual(store.getRecoveries(), []);
+            
+            store.recoverCorrupted();
+            assert.deepStrictEqual(store.get('users'), { alice: 1 });
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8')), { alice: 1 });
+            
+            const [recovery] = store.getRecoveries();
+            assert.strictEqual(recovery.name, 'users');
+            assert.strictEqual(recovery.backup, path.join('backups', 'users.2.json'));
+            assert.ok(fs.existsSync(path.join(dataDir, recovery.corruptFile)));
+            assert.strictEqual(logger.messages.error.length, 1);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('a corrupted file without backups starts empty and is reported', () => {
+        const { dataDir, store } = createStore();
+        try {
+            fs.writeFileSync(path.join(dataDir, 'security.json'), 'not json');
+            
+            store.recoverCorrupted(['security']);
+            assert.strictEqual(store.get('security'), null);
+            assert.strictEqual(store.getRecoveries()[0].backup, null);
+            assert.strictEqual(fs.existsSync(path.join(dataDir, 'security.json')), false);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('corrupted caches are discarded without a recovery alert', () => {
+        const { dataDir, logger, store } = createStore({ caches: ['channels'] });
+        try {
+            fs.writeFileSync(path.join(dataDir, 'channels.json'), '[{"id":1},');
+            
+            store.recoverCorrupted();
+            assert.strictEqual(store.get('channels'), null);
+            assert.deepStrictEqual(store.getRecoveries(), []);
+            assert.strictEqual(logger.messages.error.length, 0);
+            assert.strictEqual(logger.messages.warn.length, 1);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('setLarge streams the value to disk', async () => {
+        const { dataDir, store } = createStore();
+        try {
+            const value = { channels: Array.from({ length: 1000 }, (_, id) => ({ id, name: `Channel ${id}` })), timestamp: 1 };
+            await store.setLarge('channels', value);
+            assert.deepStrictEqual(store.get('channels'), value);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('transactions apply all writes together or none of them', () => {
+        const { dataDir, store } = createStore();
+        try {
+            store.set('a', 1);
+            assert.throws(() => store.transaction(() => {
+                store.set('a', 2);
+                store.set('b', 2);
+                throw new Error('abort');
+            }), /abort/);
+            assert.strictEqual(store.get('a'), 1);
+            assert.strictEqual(store.has('b'), false);
+            
+            store.transaction(() => {
+                store.set('a', 3);
+                store.delete('a');
+                store.set('b', 3);
+                store.set('c', null);
+                assert.strictEqual(store.get('b'), 3);
+                assert.strictEqual(store.has('a'), false);
+                assert.strictEqual(store.has('c'), true);
+            });
+            assert.deepStrictEqual(store.list(), ['b', 'c']);
+            assert.strictEqual(fs.existsSync(store.getJournalFile()), false);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+    
+    it('an interrupted transaction is completed from the journal on startup', () => {
+        const { dataDir } = createStore();
+        try {
+            fs.writeFileSync(path.join(dataDir, 'telegram-tokens.json'), JSON.stringify({ old: true }));
+            fs.writeFileSync(path.join(dataDir, 'stale.json'), '{}');
+            fs.writeFileSync(path.join(dataDir, 'transaction.journal'), JSON.stringify([
+                { name: 'telegram-tokens', value: { ABC: 1 } },
+                { name: 'telegram-limits', value: { 42: 1 } },
+                { name: 'cleared', value: null },
+                { name: 'stale', deleted: true }
+            ]));
+            
+            const logger = createLogger();
+            const store = new JsonFileStore(dataDir, logger);
+            assert.deepStrictEqual(store.get('telegram-tokens'), { ABC: 1 });
+            assert.deepStrictEqual(store.get('telegram-limits'), { 42: 1 });
+            assert.strictEqual(store.has('cleared'), true);
+            assert.strictEqual(store.get('cleared'), null);
+            assert.strictEqual(store.has('stale'), false);
+            assert.strictEqual(fs.existsSync(store.getJournalFile()), false);
+            assert.strictEqual(logger.messages.warn.length, 1);
+        } finally {
+            cleanup(dataDir);
+        }
+    });
+});
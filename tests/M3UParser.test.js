@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const M3UParser = require('../src/utils/M3UParser');
+
+const PLAYLIST = [
+    '#EXTM3U x-tvg-url="http://epg.example.com/guide.xml" catchup="shift"',
+    '#EXTINF:-1 tvg-id="cctv1" tvg-name="CCTV-1" tvg-logo="http://logo/cctv1.png" group-title="央视" tvg-chno="1",CCTV-1 综合',
+    '#EXTVLCOPT:http-user-agent=Player',
+    'http://example.com/cctv1.m3u8',
+    '#KODIPROP:inputstream.adaptive.manifest_type=hls',
+    '#EXTGRP:卫视',
+    '#EXTINF:-1 tvg-id=hunan logo=\'http://logo/a,b.png\',湖南卫视, HD',
+    'http://example.com/hunan.ts',
+    '#EXTINF:-1,无地址频道',
+    ''
+].join('\r\n');
+
+describe('M3UParser', () => {
+    it('parses header attributes and entries', () => {
+        const { header, entries } = new M3UParser().parse(PLAYLIST);
+        
+        assert.deepStrictEqual(header, { 'x-tvg-url': 'http://epg.example.com/guide.xml', catchup: 'shift' });
+        assert.strictEqual(entries.length, 2);
+        
+        const [cctv1, hunan] = entries;
+        assert.strictEqual(cctv1.name, 'CCTV-1 综合');
+        assert.strictEqual(cctv1.tvgId, 'cctv1');
+        assert.strictEqual(cctv1.tvgName, 'CCTV-1');
+        assert.strictEqual(cctv1.logo, 'http://logo/cctv1.png');
+        assert.strictEqual(cctv1.category, '央视');
+        assert.strictEqual(cctv1.number, '1');
+        assert.strictEqual(cctv1.duration, -1);
+        assert.strictEqual(cctv1.url, 'http://example.com/cctv1.m3u8');
+        assert.deepStrictEqual(cctv1.directives, ['#EXTVLCOPT:http-user-agent=Player']);
+        
+        assert.strictEqual(hunan.name, '湖南卫视, HD');
+        assert.strictEqual(hunan.tvgId, 'hunan');
+        assert.strictEqual(hunan.logo, 'http://logo/a,b.png');
+        assert.strictEqual(hunan.category, '卫视');
+        assert.deepStrictEqual(hunan.directives, ['#KODIPROP:inputstream.adaptive.manifest_type=hls', '#EXTGRP:卫视']);
+    });
+    
+    it('group-title takes precedence over #EXTGRP', () => {
+        const { entries } = new M3UParser().parse('#EXTINF:-1 group-title="新闻",A\n#EXTGRP:其他\nhttp://a');
+        assert.strictEqual(entries[0].category, '新闻');
+    });
+    
+    it('parseStream gives the same result as parse', async () => {
+        const parser = new M3UParser();
+        const streamed = await parser.parseStream(Readable.from([PLAYLIST.slice(0, 100), PLAYLIST.slice(100)]));
+        assert.deepStrictEqual(streamed, parser.parse(PLAYLIST));
+    });
+    
+    it('parseAttributes handles flags, unquoted values and stops at the title comma', () => {
+        const { attributes, remainder } = new M3UParser().parseAttributes(' radio tvg-shift=-2 catchup-days="7" ,标题');
+        assert.deepStrictEqual(attributes, { radio: '', 'tvg-shift': '-2', 'catchup-days': '7' });
+        assert.strictEqual(remainder, ',标题');
+    });
+    
+    it('serializeAttributes quotes values and skips empty ones', () => {
+        const text = new M3UParser().serializeAttributes({ 'tvg-id': 'a"b', 'tvg-logo': null, 'group-title': '央视' });
+        assert.strictEqual(text, 'tvg-id="a\'b" group-title="央视"');
+    });
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const PasswordHasher = require('../src/utils/PasswordHasher');
+
+// 测试中使用较小的N，减少耗时
+const hasher = new PasswordHasher({ N: 1024 });
+
+describe('PasswordHasher', () => {
+    it('hash produces a self-describing scrypt string with a random salt', async () => {
+        const first = await hasher.hash('secret');
+        const second = await hasher.hash('secret');
+        
+        assert.match(first, /^scrypt\$1024\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+        assert.notStrictEqual(first, second);
+        assert.strictEqual(hasher.isHash(first), true);
+        assert.strictEqual(hasher.isHash('secret'), false);
+    });
+    
+    it('verify accepts the right password and rejects others', async () => {
+        const stored = await hasher.hash('correct horse');
+        assert.strictEqual(await hasher.verify('correct horse', stored), true);
+        assert.strictEqual(await hasher.verify('correct horse ', stored), false);
+        assert.strictEqual(await hasher.verify('', stored), false);
+    });
+    
+    it('verify uses the parameters stored in the hash', async () => {
+        const stored = await hasher.hash('secret');
+        assert.strictEqual(await new PasswordHasher().verify('secret', stored), true);
+    });
+    
+    it('verify rejects values that are not scrypt hashes', async () => {
+        assert.strictEqual(await hasher.verify('secret', 'secret'), false);
+        assert.strictEqual(await hasher.verify('secret', 'scrypt$1$2'), false);
+        assert.strictEqual(await hasher.verify('secret', null), false);
+    });
+});